@@ -0,0 +1,262 @@
+/** @module */
+'use strict';
+
+// Operations of an edit from the previous to the current array
+const EDIT_LEAVE = 0;
+const EDIT_UPDATE = 1;
+const EDIT_ADD = 2;
+const EDIT_DELETE = 3;
+
+function newSplice(index, removed, addedCount) {
+  return {
+    index: index,
+    removed: removed,
+    addedCount: addedCount
+  };
+}
+
+/**
+ * Computes the edit distances of all prefixes of the current and the
+ * previous window, as a matrix of (old length + 1) rows and
+ * (current length + 1) columns. Only additions and deletions count.
+ *
+ * @param {Array} current The current array
+ * @param {number} currentStart Start of the window of the current array
+ * @param {number} currentEnd End of the window of the current array
+ * @param {Array} old The previous array
+ * @param {number} oldStart Start of the window of the previous array
+ * @param {number} oldEnd End of the window of the previous array
+ * @param {Function} equals Function comparing items
+ * @return {Array<Array<number>>} Edit distances
+ * @private
+ */
+function calcEditDistances(current, currentStart, currentEnd,
+                           old, oldStart, oldEnd, equals) {
+  let rowCount = oldEnd - oldStart + 1;
+  let columnCount = currentEnd - currentStart + 1;
+  let distances = new Array(rowCount);
+
+  for (let i=0; i<rowCount; i++) {
+    distances[i] = new Array(columnCount);
+    distances[i][0] = i;
+  }
+  for (let j=0; j<columnCount; j++) {
+    distances[0][j] = j;
+  }
+
+  for (let i=1; i<rowCount; i++) {
+    for (let j=1; j<columnCount; j++) {
+      if (equals(current[currentStart + j - 1], old[oldStart + i - 1])) {
+        distances[i][j] = distances[i - 1][j - 1];
+      } else {
+        let north = distances[i - 1][j] + 1;
+        let west = distances[i][j - 1] + 1;
+        distances[i][j] = north < west ? north : west;
+      }
+    }
+  }
+  return distances;
+}
+
+/**
+ * Walks the edit distances back from the end, preferring updates over
+ * additions and deletions, and returns the edit operations in order.
+ *
+ * @param {Array<Array<number>>} distances Edit distances
+ * @return {Array<number>} Edit operations
+ * @private
+ */
+function spliceOperationsFromEditDistances(distances) {
+  let i = distances.length - 1;
+  let j = distances[0].length - 1;
+  let current = distances[i][j];
+  let edits = [];
+  while (i > 0 || j > 0) {
+    if (i == 0) {
+      edits.push(EDIT_ADD);
+      j--;
+      continue;
+    }
+    if (j == 0) {
+      edits.push(EDIT_DELETE);
+      i--;
+      continue;
+    }
+    let northWest = distances[i - 1][j - 1];
+    let west = distances[i - 1][j];
+    let north = distances[i][j - 1];
+
+    let min;
+    if (west < north) {
+      min = west < northWest ? west : northWest;
+    } else {
+      min = north < northWest ? north : northWest;
+    }
+
+    if (min == northWest) {
+      if (northWest == current) {
+        edits.push(EDIT_LEAVE);
+      } else {
+        edits.push(EDIT_UPDATE);
+        current = northWest;
+      }
+      i--;
+      j--;
+    } else if (min == west) {
+      edits.push(EDIT_DELETE);
+      i--;
+      current = west;
+    } else {
+      edits.push(EDIT_ADD);
+      j--;
+      current = north;
+    }
+  }
+
+  edits.reverse();
+  return edits;
+}
+
+function sharedPrefix(current, old, searchLength, equals) {
+  for (let i=0; i<searchLength; i++) {
+    if (!equals(current[i], old[i])) {
+      return i;
+    }
+  }
+  return searchLength;
+}
+
+function sharedSuffix(current, old, searchLength, equals) {
+  let index1 = current.length;
+  let index2 = old.length;
+  let count = 0;
+  while (count < searchLength && equals(current[--index1], old[--index2])) {
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Splice projection of the previous window onto the current window:
+ * shared prefix and suffix are skipped, then the edit distance of the
+ * rest is reduced to splice records.
+ *
+ * @param {Array} current The current array
+ * @param {number} currentStart Start of the window of the current array
+ * @param {number} currentEnd End of the window of the current array
+ * @param {Array} old The previous array
+ * @param {number} oldStart Start of the window of the previous array
+ * @param {number} oldEnd End of the window of the previous array
+ * @param {Function} equals Function comparing items
+ * @return {Array<Object>} Splice records
+ * @private
+ */
+function calcSplices(current, currentStart, currentEnd,
+                     old, oldStart, oldEnd, equals) {
+  let prefixCount = 0;
+  let suffixCount = 0;
+  let splice;
+
+  let minLength = Math.min(currentEnd - currentStart, oldEnd - oldStart);
+  if (currentStart == 0 && oldStart == 0) {
+    prefixCount = sharedPrefix(current, old, minLength, equals);
+  }
+  if (currentEnd == current.length && oldEnd == old.length) {
+    suffixCount = sharedSuffix(current, old, minLength - prefixCount, equals);
+  }
+
+  currentStart += prefixCount;
+  oldStart += prefixCount;
+  currentEnd -= suffixCount;
+  oldEnd -= suffixCount;
+
+  if (currentEnd - currentStart == 0 && oldEnd - oldStart == 0) {
+    return [];
+  }
+
+  if (currentStart == currentEnd) {
+    splice = newSplice(currentStart, [], 0);
+    while (oldStart < oldEnd) {
+      splice.removed.push(old[oldStart++]);
+    }
+    return [splice];
+  } else if (oldStart == oldEnd) {
+    return [newSplice(currentStart, [], currentEnd - currentStart)];
+  }
+
+  let ops = spliceOperationsFromEditDistances(
+    calcEditDistances(current, currentStart, currentEnd,
+                      old, oldStart, oldEnd, equals));
+
+  splice = undefined;
+  let splices = [];
+  let index = currentStart;
+  let oldIndex = oldStart;
+  for (let i=0; i<ops.length; i++) {
+    switch(ops[i]) {
+    case EDIT_LEAVE:
+      if (splice) {
+        splices.push(splice);
+        splice = undefined;
+      }
+      index++;
+      oldIndex++;
+      break;
+    case EDIT_UPDATE:
+      if (!splice) {
+        splice = newSplice(index, [], 0);
+      }
+      splice.addedCount++;
+      index++;
+      splice.removed.push(old[oldIndex]);
+      oldIndex++;
+      break;
+    case EDIT_ADD:
+      if (!splice) {
+        splice = newSplice(index, [], 0);
+      }
+      splice.addedCount++;
+      index++;
+      break;
+    case EDIT_DELETE:
+      if (!splice) {
+        splice = newSplice(index, [], 0);
+      }
+      splice.removed.push(old[oldIndex]);
+      oldIndex++;
+      break;
+    }
+  }
+
+  if (splice) {
+    splices.push(splice);
+  }
+  return splices;
+}
+
+function identical(currentValue, previousValue) {
+  return currentValue === previousValue;
+}
+
+module.exports = {
+  /**
+   * Returns the splice records transforming the previous array into the
+   * current one, based on the edit distance of the arrays (a port of
+   * Polymer's `ArraySplice.calculateSplices`).
+   *
+   * Records are `{ index, removed, addedCount }` in index order; applied
+   * in order to the previous array they produce the current one. `index`
+   * is the index in the current array, `removed` holds items of the
+   * previous array.
+   *
+   * @param {Array} current The current array
+   * @param {Array} previous The previous array
+   * @param {Function=} equals Function `(currentItem, previousItem)`
+   *   returning whether the items match, identity by default
+   * @return {Array<Object>} Splice records
+   */
+  calculateSplices: function(current, previous, equals) {
+    return calcSplices(current, 0, current.length,
+                       previous, 0, previous.length, equals || identical);
+  }
+};
@@ -8,47 +8,248 @@ var Polymer = {
   Path: require('./path')
 };
 
+const Graph = require('./graph');
+
 let utils = require('./utils');
 
 let effectUid = 0;
 
+// Status of a computed property which has no pending Promise
+const SETTLED = { pending: false, error: undefined };
+
+/**
+ * Sets the status of a Promise returned by the computing function of a
+ * property, runs `update`, then dispatches `<property>-pending` and
+ * `<property>-error` events (dash-cased, with the new `pending` flag or
+ * rejection reason in `detail.value`) for the parts of the status that
+ * changed.
+ *
+ * @param {Object} inst The instance
+ * @param {string} prop Computed property name
+ * @param {Object} status New status, `{ pending, error }`
+ * @param {Function=} update Function setting the resolved value
+ * @private
+ */
+function setComputeStatus(inst, prop, status, update) {
+  let old = inst.__dataComputeStatus[prop] || SETTLED;
+  inst.__dataComputeStatus[prop] = status;
+  if (update) {
+    update();
+  }
+  if (inst.dispatchEvent) {
+    let name = utils.camelToDashCase(prop);
+    if (old.pending !== status.pending) {
+      inst.dispatchEvent(name + '-pending', { value: status.pending });
+    }
+    if (old.error !== status.error) {
+      inst.dispatchEvent(name + '-error', { value: status.error });
+    }
+  }
+}
+
+/**
+ * Runs computed effects of the changed properties, and then of the changed
+ * computed properties, in topological order of the dependency graph: every
+ * computed property runs at most once, after all of its dependencies.
+ *
+ * @param {Object} inst The instance with effects to run
+ * @param {Object} changedProps Bag of changed paths; changed computed
+ *   properties are added
+ * @param {Object} oldProps Bag of previous values; previous values of
+ *   changed computed properties are added
+ * @return {Object} Bag of changed computed properties
+ * @private
+ */
 function runComputedEffects(inst, changedProps, oldProps) {
   const COMPUTE = inst.PROPERTY_EFFECT_TYPES.COMPUTE;
-  if (inst[COMPUTE]) {
-    let inputProps = changedProps;
+  let effects = inst[COMPUTE];
+  if (effects) {
+    let order = inst._getComputeOrder();
+    let dirty = markComputed(effects, changedProps, {});
     let computedProps;
-    while (runEffects(inst, COMPUTE, inputProps)) {
-      utils.mixin(oldProps, inst.__dataOld);
-      utils.mixin(changedProps, inst.__dataPending);
-      computedProps = utils.mixin(computedProps || {}, inst.__dataPending);
-      inputProps = inst.__dataPending;
-      inst.__dataPending = null;
+    for (let i=0; i<order.length; i++) {
+      let run = dirty[order[i]];
+      if (run) {
+        run.fx.fn(inst, run.path, inst.__data[run.path],
+                  oldProps[run.path], run.fx.info);
+        if (inst.__dataPending) {
+          utils.mixin(oldProps, inst.__dataOld);
+          utils.mixin(changedProps, inst.__dataPending);
+          computedProps = utils.mixin(computedProps || {}, inst.__dataPending);
+          markComputed(effects, inst.__dataPending, dirty);
+          inst.__dataPending = null;
+        }
+      }
     }
     return computedProps;
   }
 }
 
-function computeLinkedPaths(inst, changedProps, computedProps) {
+/**
+ * Marks computed properties that depend on the changed paths with the
+ * first path that triggers them.
+ *
+ * @param {Object<string,Array>} effects Compute effects by property
+ * @param {Object} props Bag of changed paths
+ * @param {Object} dirty Map of computed property name to the effect to
+ *   run and the triggering path
+ * @return {Object} The `dirty` map
+ * @private
+ */
+function markComputed(effects, props, dirty) {
+  for (let path in props) {
+    let fxs = effects[Polymer.Path.root(path)];
+    if (fxs) {
+      for (let i=0; i<fxs.length; i++) {
+        let fx = fxs[i];
+        let computed = fx.info.methodInfo;
+        if (!dirty[computed] && Polymer.Path.matches(fx.path, path)) {
+          dirty[computed] = { fx: fx, path: path };
+        }
+      }
+    }
+  }
+  return dirty;
+}
+
+/**
+ * Sets a value propagated from a linked path to a path: writes replaced
+ * values into the data (mutations of shared objects are already in
+ * place) and adds the path to the changed paths.
+ *
+ * @param {Object} inst The instance
+ * @param {Object} changedProps Bag of changed paths
+ * @param {Object} oldProps Bag of previous values
+ * @param {string} path Path to set
+ * @param {*} value Value to set
+ * @private
+ */
+function setLinkedPath(inst, changedProps, oldProps, path, value) {
+  if (path in changedProps) {
+    return;
+  }
+  if (!(path in oldProps)) {
+    oldProps[path] = inst.__data[path];
+  }
+  if (Polymer.Path.isDeep(path) && Polymer.Path.get(inst, path) !== value) {
+    Polymer.Path.set(inst, path, value);
+  }
+  changedProps[path] = inst.__data[path] = value;
+}
+
+/**
+ * Propagates changes to linked paths (see `linkPaths`) both ways: a
+ * change of a linked path or of its descendants is propagated to the
+ * translated path, a change of an ancestor propagates the new value of
+ * the linked path.
+ *
+ * @param {Object} inst The instance
+ * @param {Object} changedProps Bag of changed paths; propagated changes
+ *   are added
+ * @param {Object} oldProps Bag of previous values
+ * @private
+ */
+function computeLinkedPaths(inst, changedProps, oldProps) {
   const links = inst.__dataLinkedPaths;
   if (links) {
-    computedProps = computedProps || {};
-    let link;
+    let paths = Object.keys(changedProps);
     for (let a in links) {
       let b = links[a];
-      for (let path in changedProps) {
-        if (Polymer.Path.isDescendant(a, path)) {
-          link = Polymer.Path.translate(a, b, path);
-          changedProps[link] = computedProps[link] =
-            inst.__data[link] = changedProps[path];
-        } else if (Polymer.Path.isDescendant(b, path)) {
-          link = Polymer.Path.translate(b, a, path);
-          changedProps[link] = computedProps[link] =
-            inst.__data[link] = changedProps[path];
+      for (let i=0; i<paths.length; i++) {
+        let path = paths[i];
+        let value = changedProps[path];
+        if (path == a || Polymer.Path.isDescendant(a, path)) {
+          setLinkedPath(inst, changedProps, oldProps,
+                        Polymer.Path.translate(a, b, path), value);
+        } else if (path == b || Polymer.Path.isDescendant(b, path)) {
+          setLinkedPath(inst, changedProps, oldProps,
+                        Polymer.Path.translate(b, a, path), value);
+        } else if (Polymer.Path.isAncestor(b, path)) {
+          value = Polymer.Path.get(inst, b);
+          if (value !== Polymer.Path.get(inst, a)) {
+            setLinkedPath(inst, changedProps, oldProps, a, value);
+          }
+        } else if (Polymer.Path.isAncestor(a, path)) {
+          value = Polymer.Path.get(inst, a);
+          if (value !== Polymer.Path.get(inst, b)) {
+            setLinkedPath(inst, changedProps, oldProps, b, value);
+          }
         }
       }
     }
   }
-  return computedProps;
+}
+
+/**
+ * Returns the index of an array item after splices, or -1 if the item
+ * is no longer in the array. An item removed and added again (e.g. by
+ * `move`) is found by identity.
+ *
+ * @param {Array<Object>} splices Splice records, in order
+ * @param {number} index Index of the item before the splices
+ * @return {number} Index of the item after the splices
+ * @private
+ */
+function splicedIndex(splices, index) {
+  for (let i=0; i<splices.length; i++) {
+    let s = splices[i];
+    if (index >= s.index + s.removed.length) {
+      index += s.addedCount - s.removed.length;
+    } else if (index >= s.index) {
+      return s.object.indexOf(s.removed[index - s.index]);
+    }
+  }
+  return index;
+}
+
+/**
+ * Returns a path with array indices updated for spliced arrays.
+ *
+ * @param {string} path Path, e.g. `items.3.name`
+ * @param {Object} changedProps Bag of changed paths with `.splices`
+ * @return {?string} Updated path, or `null` if an item of the path was
+ *   removed
+ * @private
+ */
+function splicedPath(path, changedProps) {
+  let parts = Polymer.Path.split(path);
+  for (let i=1; i<parts.length; i++) {
+    let change = /^\d+$/.test(parts[i]) &&
+          changedProps[Polymer.Path.join(parts.slice(0, i)) + '.splices'];
+    if (change && change.indexSplices) {
+      let index = splicedIndex(change.indexSplices, Number(parts[i]));
+      if (index < 0) {
+        return null;
+      }
+      parts[i] = String(index);
+    }
+  }
+  return Polymer.Path.join(parts);
+}
+
+/**
+ * Updates linked paths with array indices after splices of the arrays:
+ * links follow their items, and are removed for removed items.
+ *
+ * @param {Object} inst The instance
+ * @param {Object} changedProps Bag of changed paths
+ * @private
+ */
+function relinkPaths(inst, changedProps) {
+  const links = inst.__dataLinkedPaths;
+  if (links) {
+    Object.keys(links).forEach(function(to) {
+      let from = links[to];
+      let newTo = splicedPath(to, changedProps);
+      let newFrom = splicedPath(from, changedProps);
+      if (!newTo || !newFrom) {
+        inst.unlinkPaths(to);
+      } else if (newTo != to || newFrom != from) {
+        delete links[to];
+        links[newTo] = newFrom;
+      }
+    });
+  }
 }
 
 function notifyProperties(inst, changedProps, computedProps, oldProps) {
@@ -93,8 +294,9 @@ function runEffectsForProperty(inst, effects, id, prop, old) {
   if (fxs) {
     let fromAbove = inst.__dataFromAbove;
     for (let i=0, l=fxs.length, fx; (i<l) && (fx=fxs[i]); i++) {
+      // effects run once per flush, unless they run for every path
       if (Polymer.Path.matches(fx.path, prop) &&
-          (!fx.info || fx.info.lastRun !== id)) {
+          (!fx.info || fx.info.eachPath || fx.info.lastRun !== id)) {
         fx.fn(inst, prop, inst.__data[prop], old, fx.info, fromAbove);
         if (fx.info) {
           fx.info.lastRun = id;
@@ -106,6 +308,70 @@ function runEffectsForProperty(inst, effects, id, prop, old) {
   return ran;
 }
 
+/**
+ * Sets a value bound from another store to a path of the target as a
+ * pending change. The bound path itself is written; values of descendant
+ * paths are in place already, as the bound value is shared.
+ *
+ * @param {Object} target The target store
+ * @param {string} targetPath Bound path of the target
+ * @param {string} path Path to set, `targetPath` or a descendant
+ * @param {*} value Value to set
+ * @return {boolean} Whether the change is pending
+ * @private
+ */
+function setBoundPath(target, targetPath, path, value) {
+  if (path == targetPath) {
+    path = target._setPathOrUnmanagedProperty(path, value);
+  }
+  return Boolean(path) && target._setPendingProperty(path, value);
+}
+
+/**
+ * Sets changes of bound paths (see `bind`) to the target stores as
+ * pending changes, and enqueues initialized targets as clients to be
+ * flushed. Targets which are flushing their own clients are skipped:
+ * the change came from them.
+ *
+ * @param {Object} inst The source store
+ * @param {Object} changedProps Bag of changed paths
+ * @private
+ */
+function propagateBindings(inst, changedProps) {
+  let bindings = inst.__dataBindings;
+  for (let i=0; i<bindings.length; i++) {
+    let b = bindings[i];
+    if (b.target.__dataPropagating) {
+      continue;
+    }
+    let changed = false;
+    for (let path in changedProps) {
+      let value = changedProps[path];
+      let targetPath = null;
+      if (!b.path) {
+        // all paths of a child store are paths of the parent property
+        targetPath = b.targetPath + '.' + path;
+      } else {
+        if (Polymer.Path.isAncestor(b.path, path)) {
+          // the bound value was replaced with an ancestor
+          path = b.path;
+          value = Polymer.Path.get(inst, path);
+        }
+        if (path == b.path || Polymer.Path.isDescendant(b.path, path)) {
+          targetPath = Polymer.Path.translate(b.path, b.targetPath, path);
+        }
+      }
+      if (targetPath &&
+          setBoundPath(b.target, b.targetPath, targetPath, value)) {
+        changed = true;
+      }
+    }
+    if (changed && b.target.__dataInitialized) {
+      inst._enqueueClient(b.target);
+    }
+  }
+}
+
 /**
  * Batched effects
  * @extends PropertyEffects
@@ -115,6 +381,40 @@ class BatchedEffects extends PropertyEffects {
   constructor() {
     super();
     this.__dataPendingClients = null;
+    this.__dataComputeRuns = {};
+    this.__dataComputeStatus = {};
+    this.__dataComputeOrder = null;
+    this.__dataBindings = [];
+    this.__dataPropagating = false;
+  }
+
+  /**
+   * Drops the cached order of computed properties when a computed
+   * effect is added.
+   *
+   * @override
+   */
+  _addPropertyEffect(path, type, effect) {
+    super._addPropertyEffect(path, type, effect);
+    if (type == this.PROPERTY_EFFECT_TYPES.COMPUTE) {
+      this.__dataComputeOrder = null;
+    }
+  }
+
+  /**
+   * Returns names of computed properties in topological order of their
+   * dependencies. The order is computed once and cached until another
+   * computed effect is added.
+   *
+   * @return {Array<string>} Computed property names
+   * @throws {Error} If computed properties depend on each other
+   * @protected
+   */
+  _getComputeOrder() {
+    if (!this.__dataComputeOrder) {
+      this.__dataComputeOrder = Graph.sort(Graph.computedDependencies(this));
+    }
+    return this.__dataComputeOrder;
   }
 
   // -- set properties machinery
@@ -125,28 +425,81 @@ class BatchedEffects extends PropertyEffects {
     // let c = Object.getOwnPropertyNames(changedProps || {});
     // console.group(this.localName + '#' + this.id + ': ' + c);
     // ----------------------------
+    // Link paths, so that computed properties see changes of linked paths
+    relinkPaths(this, changedProps);
+    computeLinkedPaths(this, changedProps, oldProps);
     // Compute
     let computedProps = runComputedEffects(this, changedProps, oldProps);
-    // Compute linked paths
-    computedProps = computeLinkedPaths(this, changedProps, computedProps);
+    // Link changes of computed properties
+    if (computedProps) {
+      computeLinkedPaths(this, changedProps, oldProps);
+    }
     // Notify
     let props = notifyProperties(this, changedProps, computedProps, oldProps);
     if (props) {
       oldProps = props.oldProps;
       changedProps = props.changedProps;
 
+      // Propagate bound paths to other stores, then flush them
+      if (this.__dataBindings.length) {
+        propagateBindings(this, changedProps);
+      }
       // Flush clients
       this._flushClients();
       // Observe
       runEffects(this, this.PROPERTY_EFFECT_TYPES.OBSERVE,
                  changedProps, oldProps);
+      // Notify listeners once observers are done
+      runEffects(this, this.PROPERTY_EFFECT_TYPES.NOTIFY,
+                 changedProps, oldProps);
     }
     // ----------------------------
     // console.groupEnd(this.localName + '#' + this.id + ': ' + c);
     // ----------------------------
   }
 
+  /**
+   * Sets the result of a computing function to the computed property.
+   *
+   * If the result is a Promise, the property keeps its value while the
+   * Promise is pending (see `isPending`) and is set to the resolved value
+   * in a new flush, so that dependent properties are computed from the
+   * resolved value. A result that settles after the property was computed
+   * again is discarded. A rejection reason is available via
+   * `getComputeError`.
+   *
+   * Changes of the status are dispatched as `<property>-pending` and
+   * `<property>-error` events, e.g. `price-pending` with `detail.value`
+   * `true` when a lookup starts and `false` once the price is set.
+   *
+   * @override
+   */
   _setPropertyFromComputation(prop, value) {
+    // a newer computation supersedes a pending one
+    let run = this.__dataComputeRuns[prop] =
+          (this.__dataComputeRuns[prop] || 0) + 1;
+    if (value && typeof value.then == 'function') {
+      setComputeStatus(this, prop, { pending: true, error: undefined });
+      value.then((result) => {
+        if (this.__dataComputeRuns[prop] === run) {
+          setComputeStatus(this, prop, SETTLED, () => {
+            if (this._hasPropertyEffect(prop)) {
+              this._setProperty(prop, result);
+            } else {
+              this[prop] = result;
+            }
+          });
+        }
+      }, (error) => {
+        if (this.__dataComputeRuns[prop] === run) {
+          setComputeStatus(this, prop, { pending: false, error: error });
+        }
+      });
+      return;
+    }
+    if (this.__dataComputeStatus[prop]) {
+      setComputeStatus(this, prop, SETTLED);
+    }
     if (this._hasPropertyEffect(prop)) {
       this._setPendingProperty(prop, value);
     } else {
@@ -154,6 +507,32 @@ class BatchedEffects extends PropertyEffects {
     }
   }
 
+  /**
+   * Whether a Promise returned by the computing function of the property
+   * is not settled yet.
+   *
+   * @param {string} prop Computed property name
+   * @return {boolean}
+   * @public
+   */
+  isPending(prop) {
+    let status = this.__dataComputeStatus[prop];
+    return Boolean(status && status.pending);
+  }
+
+  /**
+   * Returns the reason of the rejected Promise returned by the last run of
+   * the computing function of the property.
+   *
+   * @param {string} prop Computed property name
+   * @return {*} Rejection reason, or `undefined`
+   * @public
+   */
+  getComputeError(prop) {
+    let status = this.__dataComputeStatus[prop];
+    return status && status.error;
+  }
+
   _enqueueClient(client) {
     this.__dataPendingClients = this.__dataPendingClients || new Map();
     if (client !== this) {
@@ -165,13 +544,144 @@ class BatchedEffects extends PropertyEffects {
     // Flush all clients
     let clients = this.__dataPendingClients;
     if (clients) {
-      clients.forEach((v, client) => {
-        // TODO(kschaaf): more explicit check?
-        if (client._flushProperties) {
-          client._flushProperties(true);
-        }
-      });
+      // clients enqueued while flushing (e.g. a client flushing this
+      // store back) go to the next flush
       this.__dataPendingClients = null;
+      // Clients do not propagate bound changes back while flushed
+      let propagating = this.__dataPropagating;
+      this.__dataPropagating = true;
+      try {
+        clients.forEach((v, client) => {
+          // TODO(kschaaf): more explicit check?
+          if (client._flushProperties) {
+            client._flushProperties(true);
+          }
+        });
+      } finally {
+        this.__dataPropagating = propagating;
+      }
+    }
+  }
+
+  /**
+   * Binds a path of this store to a path of another store: changes of
+   * the path and its descendants are set to the target path when this
+   * store flushes, and the target is flushed with them. With
+   * `direction: 'two-way'`, changes of the target path are set back to
+   * this store as well. A store does not propagate changes back to the
+   * store they came from, so two-way bindings do not loop.
+   *
+   * The target path is set to the current value of the path when bound.
+   * Bound object values are shared by both stores.
+   *
+   *     let unbind = screen.bind('customer', session, 'selectedCustomer',
+   *                              { direction: 'two-way' });
+   *
+   * @param {string} path Path of this store
+   * @param {BatchedEffects} target The store to bind to
+   * @param {string} targetPath Path of the target store
+   * @param {Object=} options `direction`: 'one-way' (default) or
+   *   'two-way'
+   * @return {Function} Function that removes the binding
+   * @throws {Error} If the direction is unknown or a bound path is
+   *   read-only
+   * @public
+   */
+  bind(path, target, targetPath, options) {
+    let direction = (options && options.direction) || 'one-way';
+    if (direction != 'one-way' && direction != 'two-way') {
+      throw new Error("Unknown binding direction '" + direction + "'");
+    }
+    path = Polymer.Path.normalize(path);
+    targetPath = Polymer.Path.normalize(targetPath);
+    let bindings = [[this, path, target, targetPath]];
+    if (direction == 'two-way') {
+      bindings.push([target, targetPath, this, path]);
+    }
+    bindings.forEach(function(b) {
+      if (b[2]._hasReadOnlyEffect(Polymer.Path.root(b[3]))) {
+        throw new Error('Cannot bind to read-only path `' + b[3] + '`');
+      }
+    });
+    bindings = bindings.map(function(b) {
+      let binding = { path: b[1], target: b[2], targetPath: b[3] };
+      b[0].__dataBindings = b[0].__dataBindings.concat(binding);
+      return binding;
+    });
+    if (bindings[1]) {
+      bindings[0].reverse = bindings[1];
+      bindings[1].reverse = bindings[0];
+    }
+    // sync the target, or this store when only the target has a value
+    let value = Polymer.Path.get(this, path);
+    if (value === undefined && bindings[1]) {
+      this.__syncBinding(target, bindings[1]);
+    } else {
+      target.__syncBinding(this, bindings[0]);
+    }
+    return () => {
+      this.__removeBinding(bindings[0]);
+    };
+  }
+
+  /**
+   * Removes bindings of a path (see `bind`) in both directions.
+   *
+   * @param {string} path Path of this store
+   * @param {BatchedEffects=} target The bound store; all bound stores
+   *   when not given
+   * @param {string=} targetPath Path of the target store; all bound paths
+   *   when not given
+   * @public
+   */
+  unbind(path, target, targetPath) {
+    path = Polymer.Path.normalize(path);
+    targetPath = targetPath && Polymer.Path.normalize(targetPath);
+    this.__dataBindings.filter(function(b) {
+      return b.path == path && (!target || b.target === target) &&
+        (!targetPath || b.targetPath == targetPath);
+    }).forEach(this.__removeBinding, this);
+  }
+
+  /**
+   * Removes a binding of this store, and the reverse binding of a two-way
+   * binding from the target.
+   *
+   * @param {Object} binding The binding
+   * @private
+   */
+  __removeBinding(binding) {
+    this.__dataBindings = this.__dataBindings.filter(function(b) {
+      return b !== binding;
+    });
+    let reverse = binding.reverse;
+    if (reverse) {
+      binding.target.__dataBindings =
+        binding.target.__dataBindings.filter(function(b) {
+          return b !== reverse;
+        });
+    }
+  }
+
+  /**
+   * Sets the value of the source path of a binding to this store, the
+   * target of the binding, and flushes this store if it is initialized.
+   *
+   * @param {BatchedEffects} source The source store
+   * @param {Object} binding The binding
+   * @private
+   */
+  __syncBinding(source, binding) {
+    let value = Polymer.Path.get(source, binding.path);
+    if (setBoundPath(this, binding.targetPath, binding.targetPath, value) &&
+        this.__dataInitialized) {
+      let propagating = source.__dataPropagating;
+      source.__dataPropagating = true;
+      try {
+        this._flushProperties(true);
+      } finally {
+        source.__dataPropagating = propagating;
+      }
     }
   }
 
@@ -0,0 +1,78 @@
+/** @module */
+'use strict';
+
+/**
+ * Equality strategies for the `equals` key of a property config.
+ * Each strategy returns `true` when the new value should not be
+ * considered a change of the property.
+ */
+module.exports = {
+  /**
+   * Identity check; `NaN` equals `NaN`.
+   */
+  strict: function(a, b) {
+    return a === b || (a !== a && b !== b);
+  },
+
+  /**
+   * Compares own enumerable keys (or items of arrays) of two objects
+   * with `strict`.
+   */
+  shallow: function(a, b) {
+    if (module.exports.strict(a, b)) {
+      return true;
+    }
+    if (!a || !b || typeof a != 'object' || typeof b != 'object' ||
+        Array.isArray(a) != Array.isArray(b)) {
+      return false;
+    }
+    let keys = Object.keys(a);
+    if (keys.length != Object.keys(b).length) {
+      return false;
+    }
+    return keys.every(function(key) {
+      return b.hasOwnProperty(key) && module.exports.strict(a[key], b[key]);
+    });
+  },
+
+  /**
+   * Recursively compares plain objects, arrays and dates.
+   */
+  deep: function(a, b) {
+    if (module.exports.strict(a, b)) {
+      return true;
+    }
+    if (!a || !b || typeof a != 'object' || typeof b != 'object' ||
+        Array.isArray(a) != Array.isArray(b)) {
+      return false;
+    }
+    if (a instanceof Date || b instanceof Date) {
+      return a instanceof Date && b instanceof Date &&
+        module.exports.strict(a.getTime(), b.getTime());
+    }
+    let keys = Object.keys(a);
+    if (keys.length != Object.keys(b).length) {
+      return false;
+    }
+    return keys.every(function(key) {
+      return b.hasOwnProperty(key) && module.exports.deep(a[key], b[key]);
+    });
+  },
+
+  /**
+   * Returns the equality function for a strategy name or function.
+   *
+   * @param {(string|Function)} strategy 'strict', 'shallow', 'deep' or a
+   *   function `(value, old) => boolean`
+   * @return {Function} Equality function
+   */
+  get: function(strategy) {
+    if (typeof strategy == 'function') {
+      return strategy;
+    }
+    if (strategy == 'strict' || strategy == 'shallow' || strategy == 'deep') {
+      return module.exports[strategy];
+    }
+    throw new Error("Unknown equality strategy '" + strategy + "'");
+  }
+};
@@ -0,0 +1,287 @@
+/** @module */
+'use strict';
+
+const Path = require('./path');
+
+const KEYWORDS = {
+  'true': true,
+  'false': false,
+  'null': null,
+  'undefined': undefined
+};
+
+const IDENTIFIER = /[A-Za-z_$][\w$]*/y;
+const SEGMENT = /[\w$]+|\*/y;
+const NUMBER = /-?\d+(\.\d+)?([eE][+-]?\d+)?/y;
+
+/**
+ * Throws a parse error for the current position of the parser.
+ *
+ * @param {Object} state Parser state: expression `text` and `pos`
+ * @param {string} message Description of the problem
+ * @private
+ */
+function fail(state, message) {
+  let error = new SyntaxError(message + ' at column ' + (state.pos + 1));
+  error.column = state.pos + 1;
+  throw error;
+}
+
+/**
+ * Describes the character at the current position for error messages
+ *
+ * @param {Object} state Parser state
+ * @return {string} Description
+ * @private
+ */
+function found(state) {
+  let ch = state.text[state.pos];
+  return ch === undefined ? 'end of expression' : "'" + ch + "'";
+}
+
+function skipSpace(state) {
+  while (/\s/.test(state.text[state.pos] || '')) {
+    state.pos++;
+  }
+}
+
+/**
+ * Reads a token matching a sticky regular expression at the current
+ * position.
+ *
+ * @param {Object} state Parser state
+ * @param {RegExp} re Sticky regular expression
+ * @return {?string} The token, or `null` if the text does not match
+ * @private
+ */
+function read(state, re) {
+  re.lastIndex = state.pos;
+  let m = re.exec(state.text);
+  if (m) {
+    state.pos = re.lastIndex;
+    return m[0];
+  }
+  return null;
+}
+
+function readString(state) {
+  let quote = state.text[state.pos++];
+  let value = '';
+  for (;;) {
+    let ch = state.text[state.pos];
+    if (ch === undefined) {
+      fail(state, 'Unterminated string');
+    }
+    state.pos++;
+    if (ch == quote) {
+      return value;
+    }
+    // any escaped character stands for itself, e.g. `\,` or `\'`
+    if (ch == '\\' && state.pos < state.text.length) {
+      ch = state.text[state.pos++];
+    }
+    value += ch;
+  }
+}
+
+/**
+ * Reads a path, e.g. `foo`, `foo.bar.0`, `foo[0]["a.b"]` or `foo.bar.*`
+ *
+ * @param {Object} state Parser state
+ * @return {Object} `{ path, wildcard }`
+ * @private
+ */
+function readPath(state) {
+  let result = Path.scan(state.text, state.pos, SEGMENT);
+  let parts = result.parts;
+  let wildcard = parts[parts.length - 1] == '*';
+  if (wildcard) {
+    parts.pop();
+  }
+  if (parts.indexOf('*') >= 0) {
+    fail(state, 'Wildcard must be the last segment of a path');
+  }
+  state.pos = result.pos;
+  return { path: Path.join(parts), wildcard: wildcard };
+}
+
+/**
+ * Parses arguments of a method up to the closing parenthesis and sets
+ * `args` and `static` of the signature.
+ *
+ * @param {Object} state Parser state, positioned after `(`
+ * @param {Object} sig Method signature metadata object
+ * @return {Object} The signature
+ * @private
+ */
+function parseArgs(state, sig) {
+  sig.args = [];
+  sig.static = true;
+  skipSpace(state);
+  if (state.text[state.pos] == ')') {
+    state.pos++;
+    return sig;
+  }
+  for (;;) {
+    let arg = parseArgument(state);
+    sig.args.push(arg);
+    if (!arg.literal && (!arg.signature || !arg.signature.static)) {
+      sig.static = false;
+    }
+    skipSpace(state);
+    let ch = state.text[state.pos];
+    if (ch == ')') {
+      state.pos++;
+      return sig;
+    }
+    if (ch != ',') {
+      fail(state, "Expected ',' or ')', found " + found(state));
+    }
+    state.pos++;
+  }
+}
+
+/**
+ * Parses an argument and returns an argument metadata object with the
+ * following fields:
+ *
+ *   {
+ *     name: 'prop',         // property/path (or source text of literals
+ *                           // and calls)
+ *     value: 'prop',        // literal value
+ *     literal: false,       // whether argument is a literal
+ *     structured: false,    // whether the property is a path
+ *     rootProperty: 'prop', // the root property of the path
+ *     wildcard: false,      // whether the argument was a wildcard '.*' path
+ *     negate: 0,            // number of `!` applied to the value
+ *     signature: undefined  // method metadata of a nested call
+ *   }
+ *
+ * @param {Object} state Parser state
+ * @return {Object} Argument metadata object
+ * @private
+ */
+function parseArgument(state) {
+  skipSpace(state);
+  let negate = 0;
+  while (state.text[state.pos] == '!') {
+    negate++;
+    state.pos++;
+    skipSpace(state);
+  }
+  let start = state.pos;
+  let ch = state.text[start];
+  let arg;
+  if (ch == "'" || ch == '"') {
+    arg = { value: readString(state), literal: true };
+  } else if (read(state, NUMBER) !== null) {
+    arg = { value: Number(state.text.slice(start, state.pos)), literal: true };
+  } else if (read(state, IDENTIFIER) !== null) {
+    let name = state.text.slice(start, state.pos);
+    skipSpace(state);
+    if (state.text[state.pos] == '(') {
+      state.pos++;
+      arg = { signature: parseArgs(state, { methodName: name }) };
+    } else if (KEYWORDS.hasOwnProperty(name)) {
+      arg = { value: KEYWORDS[name], literal: true };
+    } else {
+      state.pos = start;
+      let path = readPath(state);
+      if (path.wildcard && negate) {
+        state.pos = start;
+        fail(state, 'Wildcard path can not be negated');
+      }
+      return {
+        name: path.path,
+        rootProperty: Path.root(path.path),
+        structured: path.wildcard || Path.isDeep(path.path),
+        wildcard: path.wildcard,
+        negate: negate
+      };
+    }
+  } else {
+    fail(state, 'Unexpected ' + found(state));
+  }
+  arg.name = state.text.slice(start, state.pos).trim();
+  if (arg.literal) {
+    for (let i=0; i<negate; i++) {
+      arg.value = !arg.value;
+    }
+  } else {
+    arg.negate = negate;
+  }
+  return arg;
+}
+
+module.exports = {
+  /**
+   * Parses a method expression, e.g. `format(sum(a, b), 'USD', !isValid)`,
+   * and returns metadata describing the method in terms of `methodName`,
+   * `static` (whether all the arguments are literals), and an array of
+   * `args` (see `parseArgument`).
+   *
+   * Arguments may be paths (`foo.bar`, `foo.*`), strings, numbers,
+   * `true`, `false`, `null`, `undefined`, nested calls and any of these
+   * negated with `!`.
+   *
+   * @param {string} expression The expression to parse
+   * @return {Object} The method metadata object
+   * @throws {SyntaxError} If the expression is malformed; the message and
+   *   the `column` field point to the problem
+   */
+  parseMethod: function(expression) {
+    let state = { text: expression, pos: 0 };
+    skipSpace(state);
+    let methodName = read(state, IDENTIFIER);
+    if (methodName === null) {
+      fail(state, 'Expected method name, found ' + found(state));
+    }
+    skipSpace(state);
+    if (state.text[state.pos] != '(') {
+      fail(state, "Expected '(', found " + found(state));
+    }
+    state.pos++;
+    let sig = parseArgs(state, { methodName: methodName });
+    skipSpace(state);
+    if (state.pos < state.text.length) {
+      fail(state, 'Unexpected ' + found(state));
+    }
+    return sig;
+  },
+
+  /**
+   * Parses a single argument, e.g. `'foo.bar.*'` or `'!isValid'`
+   *
+   * @param {string} text The argument to parse
+   * @return {Object} Argument metadata object
+   * @throws {SyntaxError} If the argument is malformed
+   */
+  parseArgument: function(text) {
+    let state = { text: text, pos: 0 };
+    let arg = parseArgument(state);
+    skipSpace(state);
+    if (state.pos < state.text.length) {
+      fail(state, 'Unexpected ' + found(state));
+    }
+    return arg;
+  },
+
+  /**
+   * Returns the property/path arguments a method depends on, including
+   * arguments of nested calls.
+   *
+   * @param {Object} sig Method signature metadata
+   * @return {Array<Object>} Argument metadata objects
+   */
+  dependencies: function(sig) {
+    let deps = [];
+    sig.args.forEach(function(arg) {
+      if (arg.signature) {
+        deps = deps.concat(module.exports.dependencies(arg.signature));
+      } else if (!arg.literal) {
+        deps.push(arg);
+      }
+    });
+    return deps;
+  }
+};
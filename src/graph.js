@@ -0,0 +1,233 @@
+/** @module */
+'use strict';
+
+/**
+ * Quotes an identifier for Graphviz DOT
+ *
+ * @param {string} id Identifier
+ * @return {string} Quoted identifier
+ * @private
+ */
+function quote(id) {
+  return '"' + id.replace(/(["\\])/g, '\\$1') + '"';
+}
+
+// Graphviz attributes of nodes and edges by kind
+const DOT_ATTRIBUTES = {
+  property: 'shape=box',
+  computed: 'shape=box, style=filled',
+  readOnly: 'shape=box, style=dashed',
+  observer: 'shape=ellipse',
+  compute: '',
+  observe: 'style=dashed'
+};
+
+module.exports = {
+  /**
+   * Returns dependencies of computed properties from the compute effects of
+   * an instance: a map of computed property name to the list of root
+   * properties it is computed from.
+   *
+   * @param {Object} inst Instance with property effects
+   * @return {Object<string,Array<string>>} Dependencies by computed property
+   */
+  computedDependencies: function(inst) {
+    let deps = {};
+    let effects = inst[inst.PROPERTY_EFFECT_TYPES.COMPUTE];
+    for (let dep in effects) {
+      if (dep == '__static__') {
+        continue;
+      }
+      let fxs = effects[dep];
+      for (let i=0; i<fxs.length; i++) {
+        let computed = fxs[i].info.methodInfo;
+        let list = deps[computed] || (deps[computed] = []);
+        if (list.indexOf(dep) < 0) {
+          list.push(dep);
+        }
+      }
+    }
+    return deps;
+  },
+
+  /**
+   * Finds a cycle in a dependency map.
+   *
+   * @param {Object<string,Array<string>>} deps Dependencies by node
+   * @return {?Array<string>} Nodes of the cycle, starting and ending with
+   *   the same node (e.g. `['a', 'b', 'a']`), or `null` if there is none
+   */
+  findCycle: function(deps) {
+    // visiting nodes are on the current path, visited ones are done
+    let state = {};
+    let path = [];
+    let visit = function(node) {
+      if (state[node] == 'visited') {
+        return null;
+      }
+      if (state[node] == 'visiting') {
+        return path.slice(path.indexOf(node)).concat(node);
+      }
+      state[node] = 'visiting';
+      path.push(node);
+      let list = deps[node] || [];
+      for (let i=0; i<list.length; i++) {
+        let cycle = visit(list[i]);
+        if (cycle) {
+          return cycle;
+        }
+      }
+      path.pop();
+      state[node] = 'visited';
+      return null;
+    };
+    for (let node in deps) {
+      let cycle = visit(node);
+      if (cycle) {
+        return cycle;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Sorts nodes of a dependency map topologically: every node comes after
+   * the nodes it depends on. Only nodes that are keys of the map are
+   * returned.
+   *
+   * @param {Object<string,Array<string>>} deps Dependencies by node
+   * @return {Array<string>} Sorted nodes
+   * @throws {Error} If there is a cycle, naming it
+   */
+  sort: function(deps) {
+    let cycle = module.exports.findCycle(deps);
+    if (cycle) {
+      throw new Error('Cyclic computed dependency: ' + cycle.join(' -> '));
+    }
+    let done = {};
+    let order = [];
+    let visit = function(node) {
+      if (!done[node]) {
+        done[node] = true;
+        (deps[node] || []).forEach(visit);
+        if (node in deps) {
+          order.push(node);
+        }
+      }
+    };
+    Object.keys(deps).forEach(visit);
+    return order;
+  },
+
+  /**
+   * Builds the property dependency graph of an instance from its effects.
+   *
+   * Nodes are root properties (`kind` is 'property', 'computed' or
+   * 'readOnly') and observer methods (`kind` is 'observer'). Edges lead
+   * from a property to a computed property computed from it
+   * (`kind: 'compute'`) and from a property to an observer
+   * (`kind: 'observe'`). The `path` of an edge is set when the dependency
+   * is a path of the property, e.g. 'group.members'.
+   *
+   * @param {Object} inst Instance with property effects
+   * @return {{nodes: Array<Object>, edges: Array<Object>}} The graph
+   */
+  build: function(inst) {
+    const TYPES = inst.PROPERTY_EFFECT_TYPES;
+    let deps = module.exports.computedDependencies(inst);
+    let nodes = [];
+    let edges = [];
+    let added = {};
+    let addNode = function(name, kind) {
+      if (!added[name]) {
+        added[name] = true;
+        nodes.push({ name: name, kind: kind });
+      }
+    };
+    let addEdges = function(type, kind, target) {
+      let effects = inst[type];
+      for (let property in effects) {
+        if (property == '__static__') {
+          continue;
+        }
+        effects[property].forEach(function(fx) {
+          let edge = { from: property, to: target(fx), kind: kind };
+          if (fx.path != property) {
+            edge.path = fx.path;
+          }
+          edges.push(edge);
+        });
+      }
+    };
+    for (let property in inst[TYPES.ANY]) {
+      let kind = 'property';
+      if (property in deps) {
+        kind = 'computed';
+      } else if (inst._hasReadOnlyEffect(property)) {
+        kind = 'readOnly';
+      }
+      addNode(property, kind);
+    }
+    addEdges(TYPES.COMPUTE, 'compute', function(fx) {
+      return fx.info.methodInfo;
+    });
+    addEdges(TYPES.OBSERVE, 'observe', function(fx) {
+      addNode(fx.info.methodName, 'observer');
+      return fx.info.methodName;
+    });
+    return { nodes: nodes, edges: edges };
+  },
+
+  /**
+   * Exports a graph from `build` to Graphviz DOT
+   *
+   * @param {{nodes: Array<Object>, edges: Array<Object>}} graph The graph
+   * @return {string} DOT text
+   */
+  toDot: function(graph) {
+    let lines = ['digraph dependencies {'];
+    graph.nodes.forEach(function(node) {
+      lines.push('  ' + quote(node.name) +
+                 ' [' + DOT_ATTRIBUTES[node.kind] + '];');
+    });
+    graph.edges.forEach(function(edge) {
+      let attributes = [];
+      if (DOT_ATTRIBUTES[edge.kind]) {
+        attributes.push(DOT_ATTRIBUTES[edge.kind]);
+      }
+      if (edge.path) {
+        attributes.push('label=' + quote(edge.path));
+      }
+      let suffix = attributes.length ? ' [' + attributes.join(', ') + ']' : '';
+      lines.push('  ' + quote(edge.from) + ' -> ' + quote(edge.to) +
+                 suffix + ';');
+    });
+    lines.push('}');
+    return lines.join('\n') + '\n';
+  },
+
+  /**
+   * Exports a graph from `build` to PlantUML
+   *
+   * @param {{nodes: Array<Object>, edges: Array<Object>}} graph The graph
+   * @return {string} PlantUML text
+   */
+  toPlantUml: function(graph) {
+    let lines = ['@startuml', ''];
+    let aliases = {};
+    graph.nodes.forEach(function(node, i) {
+      aliases[node.name] = 'n' + i;
+      lines.push((node.kind == 'observer' ? 'usecase' : 'rectangle') +
+                 ' "' + node.name + '" as n' + i +
+                 (node.kind == 'property' ? '' : ' <<' + node.kind + '>>'));
+    });
+    lines.push('');
+    graph.edges.forEach(function(edge) {
+      lines.push(aliases[edge.from] +
+                 (edge.kind == 'observe' ? ' ..> ' : ' --> ') +
+                 aliases[edge.to] + (edge.path ? ' : ' + edge.path : ''));
+    });
+    lines.push('', '@enduml');
+    return lines.join('\n') + '\n';
+  }
+};
@@ -0,0 +1,174 @@
+/** @module */
+'use strict';
+
+/**
+ * Returns the items added by every splice record, in record order.
+ *
+ * Records of one notification are ordered changes, so the items added
+ * by a record are found by reverting the later records on a copy of
+ * the array.
+ *
+ * @param {Array} array The array after all records were applied
+ * @param {Array} splices Array of splice records
+ * @return {Array<Array>} Added items for each record
+ * @private
+ */
+function addedItems(array, splices) {
+  let copy = array.slice();
+  let added = [];
+  for (let i=splices.length-1; i>=0; i--) {
+    let s = splices[i];
+    added[i] = copy.slice(s.index, s.index + s.addedCount);
+    copy.splice(s.index, s.addedCount, ...s.removed);
+  }
+  return added;
+}
+
+/**
+ * Undo/redo history of a store.
+ *
+ * Changes are recorded one by one and committed as a single step at the
+ * end of a flush, or at the end of a group. A step is a list of changes
+ * in the order they were made:
+ *
+ *   { path: 'foo.bar', value: 1, old: 0 }     // value set to a path
+ *   { path: 'items', index: 0, removed: [], added: [1] } // array splice
+ */
+class History {
+
+  /**
+   * @param {number=} limit Maximum number of undo steps, unlimited when
+   *   not set
+   */
+  constructor(limit) {
+    this.limit = limit || Infinity;
+    this.undoSteps = [];
+    this.redoSteps = [];
+    this.__pending = [];
+    this.__groupDepth = 0;
+    this.__paused = false;
+  }
+
+  /**
+   * Records a value set to a path, or splices of an array when `path`
+   * is a `.splices` path.
+   *
+   * @param {string} path Changed path
+   * @param {*} value New value
+   * @param {*} old Previous value
+   */
+  record(path, value, old) {
+    if (this.__paused) {
+      return;
+    }
+    if (path.slice(-8) == '.splices') {
+      let splices = value && value.indexSplices;
+      if (splices && splices.length) {
+        let arrayPath = path.slice(0, -8);
+        let added = addedItems(splices[0].object, splices);
+        for (let i=0; i<splices.length; i++) {
+          this.__pending.push({
+            path: arrayPath,
+            index: splices[i].index,
+            removed: splices[i].removed.slice(),
+            added: added[i]
+          });
+        }
+      }
+    } else if (path.slice(-7) != '.length') {
+      this.__pending.push({ path: path, value: value, old: old });
+    }
+  }
+
+  /**
+   * Adds recorded changes as an undo step, unless a group is open.
+   * A new step clears redo steps.
+   */
+  commit() {
+    if (this.__groupDepth || !this.__pending.length) {
+      return;
+    }
+    this.undoSteps.push(this.__pending);
+    if (this.undoSteps.length > this.limit) {
+      this.undoSteps.shift();
+    }
+    this.redoSteps = [];
+    this.__pending = [];
+  }
+
+  /**
+   * Opens a group: changes are committed as one step when the
+   * outermost group is closed.
+   */
+  beginGroup() {
+    this.__groupDepth++;
+  }
+
+  /**
+   * Closes a group opened with `beginGroup`.
+   */
+  endGroup() {
+    if (this.__groupDepth) {
+      this.__groupDepth--;
+      this.commit();
+    }
+  }
+
+  /**
+   * Moves the last undo step to the redo steps, calling `apply` for
+   * every change of the step in reverse order. Changes made by `apply`
+   * are not recorded, nor are changes made by `done`, which is called
+   * once the whole step is applied.
+   *
+   * @param {Function} apply Function reverting a change
+   * @param {Function=} done Function called after the last change
+   * @return {boolean} Whether there was a step to undo
+   */
+  undo(apply, done) {
+    return this.__move(this.undoSteps, this.redoSteps, apply, done, true);
+  }
+
+  /**
+   * Moves the last redo step to the undo steps, calling `apply` for
+   * every change of the step in order. Changes made by `apply` are not
+   * recorded, nor are changes made by `done`.
+   *
+   * @param {Function} apply Function repeating a change
+   * @param {Function=} done Function called after the last change
+   * @return {boolean} Whether there was a step to redo
+   */
+  redo(apply, done) {
+    return this.__move(this.redoSteps, this.undoSteps, apply, done, false);
+  }
+
+  /**
+   * Removes all steps and recorded changes.
+   */
+  clear() {
+    this.undoSteps = [];
+    this.redoSteps = [];
+    this.__pending = [];
+  }
+
+  __move(from, to, apply, done, reverse) {
+    let step = from.pop();
+    if (!step) {
+      return false;
+    }
+    this.__paused = true;
+    try {
+      for (let i=0; i<step.length; i++) {
+        apply(step[reverse ? step.length - 1 - i : i]);
+      }
+      if (done) {
+        done();
+      }
+    } finally {
+      this.__paused = false;
+    }
+    to.push(step);
+    return true;
+  }
+}
+
+module.exports = History;
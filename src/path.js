@@ -1,30 +1,87 @@
 /** @module */
 'use strict';
 
+// Plain (unbracketed) segments of a path string
+var PLAIN = /[^.[]+/y;
+
+// Keys which do not need brackets in the string form of a path
+var SIMPLE = /^[^.[\]'"\\]+$/;
+
+/**
+ * Throws a path parse error for a position in the text
+ *
+ * @param {string} message Description of the problem
+ * @param {number} pos Position in the text
+ * @private
+ */
+function fail(message, pos) {
+  var error = new SyntaxError(message + ' at column ' + (pos + 1));
+  error.column = pos + 1;
+  throw error;
+}
+
+/**
+ * Reads a bracketed segment, `[0]`, `["key"]` or `['key']`
+ *
+ * @param {string} text Text to read from
+ * @param {number} pos Position of the opening bracket
+ * @return {{part: string, pos: number}} The key and the position after
+ *   the closing bracket
+ * @private
+ */
+function readBracket(text, pos) {
+  var quote = text[++pos];
+  var part = '';
+  if (quote == '"' || quote == "'") {
+    for (pos++; text[pos] != quote; pos++) {
+      if (pos >= text.length) {
+        fail('Unterminated string', pos);
+      }
+      // any escaped character stands for itself
+      if (text[pos] == '\\' && pos + 1 < text.length) {
+        pos++;
+      }
+      part += text[pos];
+    }
+    pos++;
+  } else {
+    while (text[pos] >= '0' && text[pos] <= '9') {
+      part += text[pos++];
+    }
+    if (!part) {
+      fail('Expected index or quoted key', pos);
+    }
+  }
+  if (text[pos] != ']') {
+    fail("Expected ']'", pos);
+  }
+  return { part: part, pos: pos + 1 };
+}
+
 module.exports = {
   /** Root of the path */
   root: function(path) {
-    var dotIndex = path.indexOf('.');
-    if (dotIndex === -1) {
+    var end = path.search(/[.[]/);
+    if (end === -1) {
       return path;
     }
-    return path.slice(0, dotIndex);
+    return end ? path.slice(0, end) : this.split(path)[0];
   },
 
   isDeep: function(path) {
-    return path.indexOf('.') !== -1;
+    return /[.[]/.test(path);
   },
 
   // Given `base` is `foo.bar`, `foo` is an ancestor, `foo.bar` is not
   isAncestor: function(base, path) {
     //     base.startsWith(path + '.');
-    return base.indexOf(path + '.') === 0;
+    return base.indexOf(path + '.') === 0 || base.indexOf(path + '[') === 0;
   },
 
   // Given `base` is `foo.bar`, `foo.bar.baz` is an descendant
   isDescendant: function(base, path) {
     //     path.startsWith(base + '.');
-    return path.indexOf(base + '.') === 0;
+    return path.indexOf(base + '.') === 0 || path.indexOf(base + '[') === 0;
   },
 
   // can be read as:  from  to       path
@@ -39,19 +96,109 @@ module.exports = {
       this.isDescendant(base, path);
   },
 
-  // Converts array-based paths to flattened path, optionally split into array
+  /**
+   * Reads path segments from `text` starting at `pos`, until a character
+   * that does not continue the path. Segments are separated by dots or
+   * written in brackets: `items[0].name`, `map["a.b"]`, `map['a.b']`.
+   * Escaped characters in quoted keys stand for themselves.
+   *
+   * @param {string} text Text to read from
+   * @param {number} pos Position to start at
+   * @param {RegExp=} segment Sticky expression for unbracketed segments,
+   *   by default anything up to a `.` or `[`
+   * @return {{parts: Array<string>, pos: number}} Segments and the
+   *   position after the path
+   * @throws {SyntaxError} If a segment is malformed; `column` is set to
+   *   the (1-based) position of the problem
+   */
+  scan: function(text, pos, segment) {
+    segment = segment || PLAIN;
+    var parts = [];
+    for (;;) {
+      if (text[pos] == '[') {
+        var bracket = readBracket(text, pos);
+        parts.push(bracket.part);
+        pos = bracket.pos;
+      } else {
+        segment.lastIndex = pos;
+        var m = segment.exec(text);
+        if (!m) {
+          fail('Expected path segment', pos);
+        }
+        parts.push(m[0]);
+        pos = segment.lastIndex;
+      }
+      if (text[pos] == '.') {
+        pos++;
+      } else if (text[pos] != '[') {
+        return { parts: parts, pos: pos };
+      }
+    }
+  },
+
+  /**
+   * Splits a path string into keys, e.g. `'map["a.b"].items[0]'` into
+   * `['map', 'a.b', 'items', '0']`
+   *
+   * @param {string} path Path string
+   * @return {Array<string>} Keys
+   * @throws {SyntaxError} If the path is malformed
+   */
+  split: function(path) {
+    path = path.toString();
+    if (path.indexOf('[') === -1) {
+      return path.split('.');
+    }
+    try {
+      var result = this.scan(path, 0);
+      if (result.pos < path.length) {
+        fail("Unexpected '" + path[result.pos] + "'", result.pos);
+      }
+      return result.parts;
+    } catch (e) {
+      throw new SyntaxError("Malformed path '" + path + "': " + e.message);
+    }
+  },
+
+  /**
+   * Joins keys into the canonical string form of a path: keys are
+   * separated by dots unless they are empty or contain dots, brackets,
+   * quotes or backslashes, which are written as quoted keys in brackets,
+   * e.g. `['map', 'a.b', 'items', 0]` is `'map["a.b"].items.0'`.
+   * `split` reverses `join`.
+   *
+   * @param {Array<(string|number)>} parts Keys
+   * @return {string} Path string
+   */
+  join: function(parts) {
+    var path = '';
+    for (var i=0; i<parts.length; i++) {
+      var part = parts[i].toString();
+      if (SIMPLE.test(part)) {
+        path += (i ? '.' : '') + part;
+      } else {
+        path += '["' + part.replace(/(["\\])/g, '\\$1') + '"]';
+      }
+    }
+    return path;
+  },
+
+  // Converts array-based and bracketed paths to the canonical string path
+  // (see `join`), optionally split into array of keys. Items of array-based
+  // paths are paths themselves, e.g. `['foo.bar', 'baz']` or
+  // `['map', '["a.b"]']`.
   normalize: function(path, split) {
     if (Array.isArray(path)) {
       var parts = [];
       for (var i=0; i<path.length; i++) {
-        var args = path[i].toString().split('.');
-        for (var j=0; j<args.length; j++) {
-          parts.push(args[j]);
-        }
+        parts = parts.concat(this.split(path[i]));
       }
-      return split ? parts : parts.join('.');
+      return split ? parts : this.join(parts);
+    } else if (split) {
+      return this.split(path);
     } else {
-      return split ? path.toString().split('.') : path;
+      path = path.toString();
+      return /[[\]'"\\]/.test(path) ? this.join(this.split(path)) : path;
     }
   },
 
@@ -67,12 +214,16 @@ module.exports = {
       prop = prop[part];
     }
     if (info) {
-      info.path = parts.join('.');
+      info.path = this.join(parts);
     }
     return prop;
   },
 
-  set: function(root, path, value) {
+  // Returns the normalized path, or `undefined` if the path cannot be
+  // reached. If `created` is an array, missing (`null` or `undefined`)
+  // ancestors are created as objects, or arrays when the next key is an
+  // index, and their paths are pushed to `created`.
+  set: function(root, path, value, created) {
     var prop = root;
     var parts = this.normalize(path, true);
     var last = parts[parts.length-1];
@@ -80,18 +231,19 @@ module.exports = {
       // Loop over path parts[0..n-2] and dereference
       for (var i=0; i<parts.length-1; i++) {
         var part = parts[i];
+        if (created && prop instanceof Object && prop[part] == null) {
+          prop[part] = /^\d+$/.test(parts[i+1]) ? [] : {};
+          created.push(this.join(parts.slice(0, i+1)));
+        }
         prop = prop[part];
         if (!prop) {
           return;
         }
       }
-      // Set value to object at end of path
-      prop[last] = value;
-    } else {
-      // Simple property set
-      prop[path] = value;
     }
-    return parts.join('.');
+    // Set value to object at end of path
+    prop[last] = value;
+    return this.join(parts);
   }
 
 };
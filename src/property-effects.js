@@ -4,6 +4,9 @@
 
 var PropertyAccessors = require('./property-accessors');
 const Path = require('./path');
+const utils = require('./utils');
+const Expression = require('./expression');
+const ArraySplice = require('./array-splice');
 const Polymer = {
  Path: Path
 };
@@ -13,6 +16,7 @@ const TYPES = {
   ANY: '__propertyEffects',
   COMPUTE: '__computeEffects',
   OBSERVE: '__observeEffects',
+  NOTIFY: '__notifyEffects',
   READ_ONLY: '__readOnly'
 };
 
@@ -75,8 +79,8 @@ function runEffects(inst, property, value, old, effects) {
 /**
  * Implements the "observer" effect.
  *
- * Calls the method with `info.methodName` on the instance, passing the
- * new and old values.
+ * Calls the method with `info.methodName` on the instance (or the function
+ * `info.fn`), passing the new and old values.
  *
  * @param {Object} inst The instance the effect will be run on
  * @param {string} property Name of property
@@ -87,7 +91,7 @@ function runEffects(inst, property, value, old, effects) {
  */
 function runObserverEffect(inst, property, value, old, info) {
   // console.log('runObserverEffect', info.methodName);
-  let fn = inst[info.methodName];
+  let fn = info.fn || inst[info.methodName];
   if (fn) {
     fn.call(inst, value, old, property);
   } else {
@@ -95,6 +99,28 @@ function runObserverEffect(inst, property, value, old, info) {
   }
 }
 
+/**
+ * Implements the "notify" effect.
+ *
+ * Dispatches a `<property>-changed` event on the instance with the new
+ * value in `detail.value`. For path changes the changed path is set
+ * to `detail.path`.
+ *
+ * @param {Object} inst The instance the effect will be run on
+ * @param {string} property Name of property
+ * @param {*} value Current value of property
+ * @param {*} old Previous value of property
+ * @param {Object} info Effect metadata
+ * @private
+ */
+function runNotifyEffect(inst, property, value, old, info) {
+  let detail = { value: value };
+  if (property != info.property) {
+    detail.path = property;
+  }
+  inst.dispatchEvent(info.eventName, detail);
+}
+
 /**
  * Implements the "method observer" effect by running the method with the
  * values of the arguments specified in the `info` object.
@@ -146,6 +172,7 @@ function runComputedEffect(inst, property, value, old, info) {
 function createMethodEffect(model, sig, type, effectFn, methodInfo, dynamic) {
   let info = {
     methodName: sig.methodName,
+    fn: sig.fn,
     args: sig.args,
     methodInfo: methodInfo,
     dynamicFn: dynamic
@@ -156,12 +183,12 @@ function createMethodEffect(model, sig, type, effectFn, methodInfo, dynamic) {
       fn: effectFn, info: info
     });
   } else {
-    for (let i=0, arg; (i<sig.args.length) && (arg=sig.args[i]); i++) {
-      if (!arg.literal) {
-        model._addPropertyEffect(arg.name, type, {
-          fn: effectFn, info: info
-        });
-      }
+    // arguments of nested calls are dependencies too
+    let deps = Expression.dependencies(sig);
+    for (let i=0; i<deps.length; i++) {
+      model._addPropertyEffect(deps[i].name, type, {
+        fn: effectFn, info: info
+      });
     }
   }
   if (dynamic) {
@@ -189,126 +216,95 @@ function createMethodEffect(model, sig, type, effectFn, methodInfo, dynamic) {
 function runMethodEffect(inst, property, value, old, info) {
   // TODO(kschaaf): ideally rootDataHost would be a detail of Templatizer only
   let context = inst._rootDataHost || inst;
-  let fn = context[info.methodName];
+  let fn = info.fn || context[info.methodName];
   if (fn) {
-    let args = marshalArgs(inst.__data, info.args, property, value);
+    let args = marshalArgs(inst.__data, info.args, property, value, context);
     return fn.apply(context, args);
   } else if (!info.dynamicFn) {
     console.warn('method `' + info.methodName + '` not defined');
   }
 }
 
-const emptyArray = [];
-
 /**
- * Parses an expression string for a method signature, and returns a metadata
- * describing the method in terms of `methodName`, `static` (whether all the
- * arguments are literals), and an array of `args`
+ * Parses a method expression (see `Expression.parseMethod`)
  *
  * @param {string} expression The expression to parse
- * @return {?Object} The method metadata object if a method expression was
- *   found, otherwise `undefined`
+ * @param {string} kind Kind of the expression for error messages, e.g.
+ *   'computed'
+ * @return {Object} The method metadata object
+ * @throws {SyntaxError} If the expression is malformed
  * @private
  */
-function parseMethod(expression) {
-  // tries to match valid javascript property names
-  let m = expression.match(/([^\s]+?)\(([\s\S]*)\)/);
-  if (m) {
-    let sig = { methodName: m[1], static: true };
-    if (m[2].trim()) {
-      // replace escaped commas with comma entity, split on un-escaped commas
-      let args = m[2].replace(/\\,/g, '&comma;').split(',');
-      return parseArgs(args, sig);
-    } else {
-      sig.args = emptyArray;
-      return sig;
-    }
+function parseExpression(expression, kind) {
+  try {
+    return Expression.parseMethod(expression);
+  } catch (e) {
+    let error = new SyntaxError('Malformed ' + kind + " expression '" +
+                                expression + "': " + e.message);
+    error.column = e.column;
+    throw error;
   }
 }
 
+// Names functions get from the keys of definitions, e.g. `{ fn: () => {} }`
+const INFERRED_NAMES = ['', 'fn', 'observer', 'computed'];
+
+// Reordered items diffed for minimal splices, see `notifyReorderedItems`
+const MAX_DIFFED_ITEMS = 500;
+
 /**
- * Parses an array of arguments and sets the `args` property of the supplied
- * signature metadata object. Sets the `static` property to false if any
- * argument is a non-literal.
+ * Returns the name of a function from a definition, or `fallback` when
+ * the function is anonymous or named after the definition key.
  *
- * @param {Array<string>} argList Array of argument names
- * @param {Object} sig Method signature metadata object
- * @return {Object} The updated signature metadata object
+ * @param {Function} fn The function
+ * @param {string} fallback Name to use for anonymous functions
+ * @return {string} Name of the function
  * @private
  */
-function parseArgs(argList, sig) {
-  sig.args = argList.map(function(rawArg) {
-    let arg = parseArg(rawArg);
-    if (!arg.literal) {
-      sig.static = false;
-    }
-    return arg;
-  }, this);
-  return sig;
+function functionName(fn, fallback) {
+  return INFERRED_NAMES.indexOf(fn.name) < 0 ? fn.name : fallback;
 }
 
 /**
- * Parses an individual argument, and returns an argument metadata object
- * with the following fields:
- *
- *   {
- *     value: 'prop',        // property/path or literal value
- *     literal: false,       // whether argument is a literal
- *     structured: false,    // whether the property is a path
- *     rootProperty: 'prop', // the root property of the path
- *     wildcard: false       // whether the argument was a wildcard '.*' path
- *   }
+ * Creates method metadata from a method expression string (see
+ * `parseExpression`) or a definition object
+ * `{ deps: ['arg1', ..., 'argn'], fn: function(arg1, ..., argn) {} }`.
+ * Every item of `deps` is parsed as an argument of a method expression.
  *
- * @param {string} rawArg The string value of the argument
- * @return {Object} Argument metadata object
+ * @param {(string|Object)} definition Expression or definition object
+ * @param {string} kind Kind of the definition for error messages, e.g.
+ *   'computed'
+ * @return {Object} The method metadata object, with the function in `fn`
+ *   for definition objects
+ * @throws {SyntaxError} If the expression or a dependency is malformed
  * @private
  */
-function parseArg(rawArg) {
-  // clean up whitespace
-  let arg = rawArg.trim()
-  // replace comma entity with comma
-        .replace(/&comma;/g, ',')
-  // repair extra escape sequences; note only commas strictly need
-  // escaping, but we allow any other char to be escaped since its
-  // likely users will do this
-        .replace(/\\(.)/g, '\$1')
-  ;
-  // basic argument descriptor
-  let a = {
-    name: arg
-  };
-  // detect literal value (must be String or Number)
-  let fc = arg[0];
-  if (fc === '-') {
-    fc = arg[1];
-  }
-  if (fc >= '0' && fc <= '9') {
-    fc = '#';
+function parseDefinition(definition, kind) {
+  if (typeof definition == 'string') {
+    return parseExpression(definition, kind);
   }
-  switch(fc) {
-  case "'":
-  case '"':
-    a.value = arg.slice(1, -1);
-    a.literal = true;
-    break;
-  case '#':
-    a.value = Number(arg);
-    a.literal = true;
-    break;
+  if (!definition || !Array.isArray(definition.deps) ||
+      typeof definition.fn != 'function') {
+    throw new Error('Malformed ' + kind + ' definition: expected ' +
+                    "an expression or '{ deps, fn }'");
   }
-  // if not literal, look for structured path
-  if (!a.literal) {
-    a.rootProperty = Path.root(arg);
-    // detect structured path (has dots)
-    a.structured = Path.isDeep(arg);
-    if (a.structured) {
-      a.wildcard = (arg.slice(-2) == '.*');
-      if (a.wildcard) {
-        a.name = arg.slice(0, -2);
-      }
+  let args = definition.deps.map(function(dep) {
+    try {
+      return Expression.parseArgument(dep);
+    } catch (e) {
+      let error = new SyntaxError('Malformed ' + kind + " dependency '" +
+                                  dep + "': " + e.message);
+      error.column = e.column;
+      throw error;
     }
-  }
-  return a;
+  });
+  return {
+    methodName: functionName(definition.fn,
+                             kind + '(' + definition.deps.join(', ') + ')'),
+    fn: definition.fn,
+    args: args,
+    static: Expression.dependencies({ args: args }).length == 0
+  };
 }
 
 /**
@@ -318,12 +314,18 @@ function parseArg(rawArg) {
  * The `path` and `value` arguments are used to fill in wildcard descriptor
  * when the method is being called as a result of a path notification.
  * 
+ * Nested calls are run on `context` with their own marshaled arguments,
+ * and negated arguments are negated.
+ *
  * @param {Object} data Instance data storage object to read properties from
  * @param {Array<Object>} args Array of argument metadata
+ * @param {string} path Changed path
+ * @param {*} value Value of the changed path
+ * @param {Object} context Object to call methods of nested calls on
  * @return {Array<*>} Array of argument values
  * @private
  */
-function marshalArgs(data, args, path, value) {
+function marshalArgs(data, args, path, value, context) {
   let values = [];
   for (let i=0, l=args.length; i<l; i++) {
     let arg = args[i];
@@ -331,6 +333,15 @@ function marshalArgs(data, args, path, value) {
     let v;
     if (arg.literal) {
       v = arg.value;
+    } else if (arg.signature) {
+      let sig = arg.signature;
+      let fn = context[sig.methodName];
+      if (fn) {
+        v = fn.apply(context,
+                     marshalArgs(data, sig.args, path, value, context));
+      } else {
+        console.warn('method `' + sig.methodName + '` not defined');
+      }
     } else if (path == name) {
       v = value;
     } else {
@@ -343,20 +354,57 @@ function marshalArgs(data, args, path, value) {
     if (arg.wildcard) {
       // Only send the actual path changed info if the change that
       // caused the observer to run matched the wildcard
-      let baseChanged = (name.indexOf(path + '.') === 0);
-      let matches = (path.indexOf(name) === 0 && !baseChanged);
+      let matches = (path == name || Path.isDescendant(name, path));
       values[i] = {
         path: matches ? path : name,
         value: matches ? value : v,
         base: v
       };
     } else {
+      for (let j=0; j<arg.negate; j++) {
+        v = !v;
+      }
       values[i] = v;
     }
   }
   return values;
 }
 
+/**
+ * Returns path options for a call: options of the instance overridden
+ * by the given ones.
+ *
+ * @param {Object} inst The instance
+ * @param {Object=} options Options of the call
+ * @return {Object} Path options
+ * @private
+ */
+function pathOptions(inst, options) {
+  return options ? Object.assign({}, inst.__dataPathOptions, options) :
+    inst.__dataPathOptions;
+}
+
+/**
+ * Throws an error naming the first ancestor of a path that cannot be
+ * dereferenced.
+ *
+ * @param {Object} root Root object of the path
+ * @param {(string|Array<(string|number)>)} path The path that could not
+ *   be set
+ * @private
+ */
+function throwUnreachable(root, path) {
+  let parts = Path.normalize(path, true);
+  for (let i=1; i<parts.length; i++) {
+    let ancestor = parts.slice(0, i);
+    let value = Path.get(root, ancestor);
+    if (!value) {
+      throw new Error("Cannot set '" + Path.join(parts) + "': '" +
+                      Path.join(ancestor) + "' is " + value);
+    }
+  }
+}
+
 // data api
 
 /**
@@ -373,11 +421,21 @@ function marshalArgs(data, args, path, value) {
 function notifySplices(inst, array, path, splices) {
   // console.log('splices', splices);
   let splicesPath = path + '.splices';
+  // Keep records which are not flushed yet, e.g. when flushing is
+  // deferred until a transaction is committed
+  let pending = inst._isPropertyPending(splicesPath) &&
+        inst.__dataPending[splicesPath];
+  if (pending && pending.indexSplices) {
+    splices = pending.indexSplices.concat(splices);
+  }
   inst._setProperty(splicesPath, { indexSplices: splices });
   inst._setProperty(path + '.length', array.length);
   // All path notification values are cached on `this.__data__`.
-  // Null here to allow potentially large splice records to be GC'ed.
-  inst.__data[splicesPath] = {indexSplices: null};
+  // Null here to allow potentially large splice records to be GC'ed,
+  // unless they are still to be flushed.
+  if (!inst._isPropertyPending(splicesPath)) {
+    inst.__data[splicesPath] = {indexSplices: null};
+  }
 }
 
 /**
@@ -405,6 +463,108 @@ function notifySplice(inst, array, path, index, addedCount, removed) {
   }]);
 }
 
+/**
+ * Sends an array splice notification for items replaced in place, e.g.
+ * by reordering: one splice record for every run of consecutive
+ * positions whose items changed.
+ *
+ * Note: this implementation only accepts normalized paths
+ *
+ * @param {Object} inst Instance to send notifications to
+ * @param {Array} array The array after the mutation
+ * @param {string} path The path to the array that was mutated
+ * @param {Array} old Copy of the array before the mutation, of the same
+ *   length
+ * @private
+ */
+function notifyReplacedItems(inst, array, path, old) {
+  let splices = [];
+  for (let i=0; i<array.length; i++) {
+    if (array[i] !== old[i]) {
+      let start = i;
+      while (i < array.length && array[i] !== old[i]) {
+        i++;
+      }
+      splices.push({
+        index: start,
+        addedCount: i - start,
+        removed: old.slice(start, i),
+        object: array,
+        type: 'splice'
+      });
+    }
+  }
+  if (splices.length) {
+    notifySplices(inst, array, path, splices);
+  }
+}
+
+/**
+ * Sends an array splice notification for items reordered in place, e.g.
+ * by sorting: the splices are the minimal edit from the previous order,
+ * so items that keep their relative order are not reported.
+ *
+ * The edit distance takes memory quadratic in the number of reordered
+ * items, so past `MAX_DIFFED_ITEMS` positions between the unchanged
+ * prefix and suffix are reported as replaced by one splice instead.
+ *
+ * Note: this implementation only accepts normalized paths
+ *
+ * @param {Object} inst Instance to send notifications to
+ * @param {Array} array The array after the mutation
+ * @param {string} path The path to the array that was mutated
+ * @param {Array} old Copy of the array before the mutation, of the same
+ *   length
+ * @private
+ */
+function notifyReorderedItems(inst, array, path, old) {
+  let start = 0;
+  let end = array.length;
+  while (start < end && array[start] === old[start]) {
+    start++;
+  }
+  while (end > start && array[end - 1] === old[end - 1]) {
+    end--;
+  }
+  if (start == end) {
+    return;
+  }
+  let splices;
+  if (end - start <= MAX_DIFFED_ITEMS) {
+    splices = ArraySplice.calculateSplices(array, old);
+  } else {
+    splices = [{
+      index: start,
+      removed: old.slice(start, end),
+      addedCount: end - start
+    }];
+  }
+  for (let i=0; i<splices.length; i++) {
+    splices[i].object = array;
+    splices[i].type = 'splice';
+  }
+  notifySplices(inst, array, path, splices);
+}
+
+/**
+ * Returns an index of an array, counting from the end for negative
+ * indices.
+ *
+ * @param {Array} array The array
+ * @param {number} index Index
+ * @return {number} Index from the start
+ * @throws {RangeError} If there is no item at the index
+ * @private
+ */
+function itemIndex(array, index) {
+  let i = index < 0 ? array.length + index : index;
+  if (!(i >= 0 && i < array.length) || Math.floor(i) !== i) {
+    throw new RangeError('Index ' + index + ' is out of range for array ' +
+                         'of length ' + array.length);
+  }
+  return i;
+}
+
 /**
  * Returns an upper-cased version of the string.
  *
@@ -432,6 +592,7 @@ class PropertyEffects extends PropertyAccessors {
     this.__dataPendingClients = null;
     this.__dataFromAbove = false;
     this.__dataLinkedPaths = null;
+    this.__dataPathOptions = {};
     this.__dataNodes = null;
     // May be set on instance prior to upgrade
     this.__dataCompoundStorage = this.__dataCompoundStorage || null;
@@ -535,7 +696,9 @@ class PropertyEffects extends PropertyAccessors {
     if (!effects) {
       effects = this[type][property] = [];
     }
-    effects.push(effect);
+    if (effect) {
+      effects.push(effect);
+    }
   }
 
   /**
@@ -597,18 +760,51 @@ class PropertyEffects extends PropertyAccessors {
    * `path` can be a path string or array of path parts as accepted by the
    * public API.
    *
+   * With the `createMissing` option, missing (`null` or `undefined`)
+   * ancestors of the path are created as plain objects, or arrays when the
+   * next key is an index, and set as pending changes of their paths. With
+   * the `strictPaths` option, an error is thrown when an ancestor of the
+   * path cannot be dereferenced; otherwise nothing is set. Options not
+   * given default to the path options of the instance.
+   *
    * @param {string} path Path to set
    * @param {*} value Value to set
+   * @param {Object=} options Path options, `createMissing` and
+   *   `strictPaths`
    * @return {?string} If the root property was managed, the normalized
    *   string representation of the path, otherwise returns falsey.
    * @protected
    */
-  _setPathOrUnmanagedProperty(path, value) {
+  _setPathOrUnmanagedProperty(path, value, options) {
     let rootProperty = Path.root(Array.isArray(path) ? path[0] : path);
     let hasEffect = this._hasPropertyEffect(rootProperty);
     let isPath = (rootProperty !== path);
     if (!hasEffect || isPath) {
-      path = Path.set(this, path, value);
+      options = pathOptions(this, options);
+      let old = hasEffect ? Path.get(this, path) : undefined;
+      let created = options.createMissing ? [] : undefined;
+      let parts = Path.normalize(path, true);
+      if (created && hasEffect && parts.length > 1 &&
+          this.__data[rootProperty] == null) {
+        // Create a missing managed root as a pending change rather than
+        // via its accessor, which would flush
+        this._setPendingProperty(rootProperty,
+                                 /^\d+$/.test(parts[1]) ? [] : {});
+      }
+      path = Path.set(this, path, value, created);
+      if (!path && options.strictPaths) {
+        throwUnreachable(this, parts);
+      }
+      if (hasEffect && created) {
+        for (let i=0; i<created.length; i++) {
+          this._setPendingProperty(created[i], Path.get(this, created[i]));
+        }
+      }
+      // Cache the replaced value, so that it is recorded as the old value
+      // of the path by `_setPendingProperty`
+      if (hasEffect && path && Path.isDeep(path)) {
+        this.__data[path] = old;
+      }
     }
     if (hasEffect) {
       return path;
@@ -706,26 +902,37 @@ class PropertyEffects extends PropertyAccessors {
 
   /**
    * Aliases one data path as another, such that path notifications from one
-   * are routed to the other.
+   * are routed to the other, both ways: setting either path, a descendant
+   * or an ancestor of it notifies the other path. The paths are expected
+   * to refer to the same value when linked, e.g.
+   *
+   *     this.selected = this.items[3];
+   *     this.linkPaths('selected', 'items.3');
+   *
+   * When the array of a linked array item is spliced, the link follows
+   * the item to its new index, and the paths are unlinked when the item
+   * is removed.
    *
    * @method linkPaths
    * @param {string} to Target path to link.
-   * @param {string} from Source path to link.
+   * @param {string=} from Source path to link; when not given, `to` is
+   *   unlinked.
    * @public
    */
   linkPaths(to, from) {
+    if (!from) {
+      this.unlinkPaths(to);
+      return;
+    }
     to = Path.normalize(to);
     from = Path.normalize(from);
     this.__dataLinkedPaths = this.__dataLinkedPaths || {};
-    if (from) {
-      this.__dataLinkedPaths[to] = from;
-    } else {
-      this.__dataLinkedPaths(to);
-    }
+    this.__dataLinkedPaths[to] = from;
   }
 
   /**
-   * Removes a data path alias previously established with `_linkPaths`.
+   * Removes a data path alias previously established with `linkPaths`,
+   * and the cached values of paths under the target path.
    *
    * Note, the path to unlink should be the target (`to`) used when
    * linking the paths.
@@ -739,6 +946,11 @@ class PropertyEffects extends PropertyAccessors {
     if (this.__dataLinkedPaths) {
       delete this.__dataLinkedPaths[path];
     }
+    for (let p in this.__data) {
+      if (Path.isDescendant(path, p) || (p == path && Path.isDeep(p))) {
+        delete this.__data[p];
+      }
+    }
   }
 
   /**
@@ -785,11 +997,11 @@ class PropertyEffects extends PropertyAccessors {
    *
    * @method get
    * @param {(string|Array<(string|number)>)} path Path to the value
-   *   to read.  The path may be specified as a string (e.g. `foo.bar.baz`)
-   *   or an array of path parts (e.g. `['foo.bar', 'baz']`).  Note that
-   *   bracketed expressions are not supported; string-based path parts
-   *   *must* be separated by dots.  Note that when dereferencing array
-   *   indices, the index may be used as a dotted part directly
+   *   to read.  The path may be specified as a string (e.g. `foo.bar.baz`,
+   *   `users[12].name` or `map["a.b"]`) or an array of path parts (e.g.
+   *   `['foo.bar', 'baz']` or `['map', '["a.b"]']`).  Keys containing dots
+   *   must be bracketed.  Note that when dereferencing array indices, the
+   *   index may be used as a dotted part directly
    *   (e.g. `users.12.name` or `['users', 12, 'name']`).
    * @param {Object=} root Root object from which the path is evaluated.
    * @return {*} Value at the path, or `undefined` if any part of the path
@@ -810,23 +1022,32 @@ class PropertyEffects extends PropertyAccessors {
    *
    * @method set
    * @param {(string|Array<(string|number)>)} path Path to the value
-   *   to write.  The path may be specified as a string (e.g. `'foo.bar.baz'`)
-   *   or an array of path parts (e.g. `['foo.bar', 'baz']`).  Note that
-   *   bracketed expressions are not supported; string-based path parts
-   *   *must* be separated by dots.  Note that when dereferencing array
-   *   indices, the index may be used as a dotted part directly
+   *   to write.  The path may be specified as a string (e.g. `'foo.bar.baz'`,
+   *   `'users[12].name'` or `'map["a.b"]'`) or an array of path parts (e.g.
+   *   `['foo.bar', 'baz']` or `['map', '["a.b"]']`).  Keys containing dots
+   *   must be bracketed.  Note that when dereferencing array indices, the
+   *   index may be used as a dotted part directly
    *   (e.g. `'users.12.name'` or `['users', 12, 'name']`).
    * @param {*} value Value to set at the specified path.
    * @param {Object=} root Root object from which the path is evaluated.
    *   When specified, no notification will occur.
+   * @param {Object=} options Overrides path options of the instance:
+   *   `createMissing` creates missing ancestors of the path (see
+   *   `_setPathOrUnmanagedProperty`), `strictPaths` throws when the path
+   *   cannot be reached instead of doing nothing.
    * @public
    */
-  set(path, value, root) {
+  set(path, value, root, options) {
     if (root) {
-      Polymer.Path.set(root, path, value);
+      options = pathOptions(this, options);
+      let created = options.createMissing ? [] : undefined;
+      if (!Polymer.Path.set(root, path, value, created) &&
+          options.strictPaths) {
+        throwUnreachable(root, path);
+      }
     } else {
       if (!this._hasReadOnlyEffect(path)) {
-        if ((path = this._setPathOrUnmanagedProperty(path, value))) {
+        if ((path = this._setPathOrUnmanagedProperty(path, value, options))) {
           // console.log('setprop', path);
           this._setProperty(path, value);
         }
@@ -1015,6 +1236,209 @@ class PropertyEffects extends PropertyAccessors {
     return ret;
   }
 
+  /**
+   * Sorts the array at the path specified in place.
+   *
+   * The arguments after `path` and return value match that of
+   * `Array.prototype.sort`.
+   *
+   * This method notifies other paths to the same array that a
+   * splice occurred to the array: moved items are reported as removed
+   * and added with the fewest splices, so other items keep their
+   * identity.
+   *
+   * @method sort
+   * @param {String} path Path to array.
+   * @param {Function=} compareFn Function defining the sort order.
+   * @return {Array} The array.
+   * @public
+   */
+  sort(path, compareFn) {
+    let info = {};
+    let array = Polymer.Path.get(this, path, info);
+    let old = array.slice();
+    array.sort(compareFn);
+    notifyReorderedItems(this, array, info.path, old);
+    return array;
+  }
+
+  /**
+   * Reverses the array at the path specified in place.
+   *
+   * This method notifies other paths to the same array that a
+   * splice occurred to the array, with the fewest splices as for `sort`.
+   *
+   * @method reverse
+   * @param {String} path Path to array.
+   * @return {Array} The array.
+   * @public
+   */
+  reverse(path) {
+    let info = {};
+    let array = Polymer.Path.get(this, path, info);
+    let old = array.slice();
+    array.reverse();
+    notifyReorderedItems(this, array, info.path, old);
+    return array;
+  }
+
+  /**
+   * Moves an item of the array at the path specified to another index,
+   * shifting the items in between. Negative indices count from the end.
+   *
+   * This method notifies other paths to the same array that a splice
+   * occurred to the array: the item is reported as removed at `from`,
+   * then added at `to`, so it keeps its identity.
+   *
+   * @method move
+   * @param {String} path Path to array.
+   * @param {number} from Index of the item to move.
+   * @param {number} to Index to move the item to.
+   * @return {Array} The array.
+   * @throws {RangeError} If an index is out of range.
+   * @public
+   */
+  move(path, from, to) {
+    let info = {};
+    let array = Polymer.Path.get(this, path, info);
+    from = itemIndex(array, from);
+    to = itemIndex(array, to);
+    if (from != to) {
+      let removed = array.splice(from, 1);
+      array.splice(to, 0, removed[0]);
+      notifySplices(this, array, info.path, [{
+        index: from, addedCount: 0, removed: removed,
+        object: array, type: 'splice'
+      }, {
+        index: to, addedCount: 1, removed: [],
+        object: array, type: 'splice'
+      }]);
+    }
+    return array;
+  }
+
+  /**
+   * Swaps two items of the array at the path specified. Negative indices
+   * count from the end.
+   *
+   * This method notifies other paths to the same array that a
+   * splice occurred to the array.
+   *
+   * @method swap
+   * @param {String} path Path to array.
+   * @param {number} i Index of an item.
+   * @param {number} j Index of the other item.
+   * @return {Array} The array.
+   * @throws {RangeError} If an index is out of range.
+   * @public
+   */
+  swap(path, i, j) {
+    let info = {};
+    let array = Polymer.Path.get(this, path, info);
+    i = itemIndex(array, i);
+    j = itemIndex(array, j);
+    let old = array.slice();
+    array[i] = old[j];
+    array[j] = old[i];
+    notifyReplacedItems(this, array, info.path, old);
+    return array;
+  }
+
+  /**
+   * Fills the array at the path specified with a value from the start
+   * index up to the end index.
+   *
+   * The arguments after `path` and return value match that of
+   * `Array.prototype.fill`.
+   *
+   * This method notifies other paths to the same array that a
+   * splice occurred to the array: only items which were not already
+   * the value are reported as replaced.
+   *
+   * @method fill
+   * @param {String} path Path to array.
+   * @param {*} value Value to fill the array with.
+   * @param {number=} start Start index.
+   * @param {number=} end End index (exclusive).
+   * @return {Array} The array.
+   * @public
+   */
+  fill(path, value, start, end) {
+    let info = {};
+    let array = Polymer.Path.get(this, path, info);
+    let old = array.slice();
+    array.fill(value, start, end);
+    notifyReplacedItems(this, array, info.path, old);
+    return array;
+  }
+
+  /**
+   * Updates the array at the path specified in place to match a new
+   * array, notifying minimal splices instead of a change of the whole
+   * array.
+   *
+   * Items are matched by identity, or by `options.key`: the name of a key
+   * of the items (e.g. `'id'`) or a function returning the key of an item.
+   * Unmatched items are spliced out and in; matched items which are not
+   * identical are then replaced, notifying their paths
+   * (e.g. `tourists.3`).
+   *
+   * If there is no array at the path, the new array is set.
+   *
+   * @method setArray
+   * @param {String} path Path to array.
+   * @param {Array} newArray Array with the new items.
+   * @param {Object=} options `key` to match items by.
+   * @return {Array} The updated array.
+   * @public
+   */
+  setArray(path, newArray, options) {
+    let info = {};
+    let array = Polymer.Path.get(this, path, info);
+    if (!Array.isArray(array)) {
+      this.set(path, newArray);
+      return newArray;
+    }
+    let equals;
+    let key = options && options.key;
+    if (key) {
+      let keyOf = typeof key == 'function' ? key : function(item) {
+        return item instanceof Object ? item[key] : item;
+      };
+      equals = function(item, old) {
+        return keyOf(item) === keyOf(old);
+      };
+    }
+    let splices = ArraySplice.calculateSplices(newArray, array, equals);
+    for (let i=0; i<splices.length; i++) {
+      let s = splices[i];
+      array.splice(s.index, s.removed.length,
+                   ...newArray.slice(s.index, s.index + s.addedCount));
+      s.object = array;
+      s.type = 'splice';
+    }
+    if (splices.length) {
+      notifySplices(this, array, info.path, splices);
+    }
+    if (key) {
+      let replaced = false;
+      for (let i=0; i<newArray.length; i++) {
+        if (array[i] !== newArray[i]) {
+          let itemPath = this._setPathOrUnmanagedProperty(
+            info.path + '.' + i, newArray[i]);
+          if (itemPath) {
+            this._setPendingProperty(itemPath, newArray[i]);
+            replaced = true;
+          }
+        }
+      }
+      if (replaced) {
+        this._invalidateProperties();
+      }
+    }
+    return array;
+  }
+
   /**
    * Notify that a path has changed.
    *
@@ -1033,7 +1457,7 @@ class PropertyEffects extends PropertyAccessors {
       let info = {};
       value = Polymer.Path.get(this, path, info);
       path = info.path;
-    } else if (Array.isArray(path)) {
+    } else {
       // Normalize path if needed
       path = Polymer.Path.normalize(path);
     }
@@ -1068,15 +1492,41 @@ class PropertyEffects extends PropertyAccessors {
    * Creates a single-property observer for the given property.
    *
    * @param {string} property Property name
-   * @param {string} methodName Name of observer method to call
+   * @param {(string|Function)} observer Name of observer method to call,
+   *   or the observer function
    * @protected
    */
-  _createObservedProperty(property, methodName) {
+  _createObservedProperty(property, observer) {
     // console.log('createObserverProperty', property);
+    let info = { methodName: observer };
+    if (typeof observer == 'function') {
+      info = {
+        methodName: functionName(observer, 'observer(' + property + ')'),
+        fn: observer
+      };
+    }
     this._addPropertyEffect(property, TYPES.OBSERVE, {
       fn: runObserverEffect,
+      info: info
+    });
+  }
+
+  /**
+   * Creates a notifying property: a `<property>-changed` event
+   * (dash-cased, e.g. `first-name-changed` for `firstName`) is dispatched
+   * via `dispatchEvent` after the property or its subpaths change, once
+   * for every changed path.
+   *
+   * @param {string} property Property name
+   * @protected
+   */
+  _createNotifyingProperty(property) {
+    this._addPropertyEffect(property, TYPES.NOTIFY, {
+      fn: runNotifyEffect,
       info: {
-        methodName: methodName
+        eventName: utils.camelToDashCase(property) + '-changed',
+        property: property,
+        eachPath: true
       }
     });
   }
@@ -1088,14 +1538,15 @@ class PropertyEffects extends PropertyAccessors {
    * should correspond to a property or path in the context of this
    * prototype (or instance), or may be a literal string or number.
    *
-   * @param {string} expression Method expression
+   * Instead of an expression a definition object
+   * `{ deps: ['arg1', ..., 'argn'], fn: function(arg1, ..., argn) {} }`
+   * may be given, calling `fn` instead of a method.
+   *
+   * @param {(string|Object)} expression Method expression or definition
    * @protected
    */
   _createMethodObserver(expression) {
-    let sig = parseMethod(expression);
-    if (!sig) {
-      throw new Error("Malformed observer expression '" + expression + "'");
-    }
+    let sig = parseDefinition(expression, 'observer');
     createMethodEffect(this, sig, TYPES.OBSERVE, runMethodObserverEffect);
   }
 
@@ -1104,17 +1555,15 @@ class PropertyEffects extends PropertyAccessors {
    * method described by the given `expression` each time one or more
    * arguments to the method changes.  The expression should be a string
    * in the form of a normal Javascript function signature:
-   * `'methodName(arg1, [..., argn])'`
+   * `'methodName(arg1, [..., argn])'`, or a definition object
+   * `{ deps: ['arg1', ..., 'argn'], fn: function(arg1, ..., argn) {} }`.
    *
    * @param {string} property Name of computed property to set
-   * @param {string} expression Method expression
+   * @param {(string|Object)} expression Method expression or definition
    * @protected
    */
   _createComputedProperty(property, expression) {
-    let sig = parseMethod(expression);
-    if (!sig) {
-      throw new Error("Malformed computed expression '" + expression + "'");
-    }
+    let sig = parseDefinition(expression, 'computed');
     createMethodEffect(this, sig, TYPES.COMPUTE,
                        runComputedEffect, property);
   }
@@ -0,0 +1,237 @@
+/** @module */
+'use strict';
+
+const Path = require('./path');
+const PropertyEffects = require('./property-effects');
+
+// Array methods mapped to the methods of a store notifying splices
+const ARRAY_METHODS = ['push', 'pop', 'shift', 'unshift', 'splice',
+                       'sort', 'reverse', 'fill'];
+
+// Methods returning the array itself
+const RETURNS_ARRAY = ['sort', 'reverse', 'fill'];
+
+// Array methods searching for an item, which may be given as a view
+const SEARCH_METHODS = ['indexOf', 'lastIndexOf', 'includes'];
+
+// Proxy views by store, then by object, then by path
+const caches = new WeakMap();
+
+// Objects by proxy view
+const targets = new WeakMap();
+
+/**
+ * Returns the object of a proxy view, or the value itself.
+ *
+ * @param {*} value Value or proxy view
+ * @return {*} The value
+ * @private
+ */
+function unwrap(value) {
+  return (value && targets.get(value)) || value;
+}
+
+/**
+ * Whether a value is viewed through a proxy: plain objects and arrays.
+ *
+ * @param {*} value Value
+ * @return {boolean} Whether to wrap the value
+ * @private
+ */
+function isWrapped(value) {
+  if (Array.isArray(value)) {
+    return true;
+  }
+  if (!value || typeof value != 'object') {
+    return false;
+  }
+  let proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Returns the proxy view of a value read from a path of the store:
+ * the `state` of child stores, a cached proxy of plain objects and
+ * arrays, and other values as they are.
+ *
+ * A view writes to the path it was read from, so views are cached per
+ * object and path: an object reached by two paths (e.g. a linked
+ * `selected` and `items.3`) has a view for each of them.
+ *
+ * @param {Object} store The store
+ * @param {*} value Value at the path
+ * @param {Array<string>} parts Keys of the path
+ * @return {*} The view of the value
+ * @private
+ */
+function view(store, value, parts) {
+  if (value instanceof PropertyEffects && 'state' in value) {
+    return value.state;
+  }
+  if (!isWrapped(value)) {
+    return value;
+  }
+  let objects = caches.get(store);
+  let paths = objects.get(value);
+  if (!paths) {
+    objects.set(value, paths = new Map());
+  }
+  let path = Path.join(parts);
+  let proxy = paths.get(path);
+  if (!proxy) {
+    proxy = new Proxy(value, handler(store, parts));
+    paths.set(path, proxy);
+    targets.set(proxy, value);
+  }
+  return proxy;
+}
+
+/**
+ * Sets a value to a key of an object at a path of the store. Goes through
+ * `store.set` while the path still leads to the object; a proxy view of
+ * an item that was moved in its array no longer does, and the value is
+ * set without notification.
+ *
+ * @param {Object} store The store
+ * @param {Object} target The object
+ * @param {Array<string>} parts Keys of the path of the object
+ * @param {string} key Key to set
+ * @param {*} value Value to set
+ * @private
+ */
+function setKey(store, target, parts, key, value) {
+  if (Path.get(store, Path.join(parts)) === target) {
+    store.set(Path.join(parts.concat(key)), value);
+  } else {
+    console.warn('state of `' + Path.join(parts) + '` is no longer at ' +
+                 'its path, `' + key + '` is set without notification');
+    target[key] = value;
+  }
+}
+
+/**
+ * Returns the proxy handler for an object at a path of the store.
+ *
+ * @param {Object} store The store
+ * @param {Array<string>} parts Keys of the path of the object
+ * @return {Object} Proxy handler
+ * @private
+ */
+function handler(store, parts) {
+  let path = Path.join(parts);
+  return {
+    get: function(target, key, receiver) {
+      if (typeof key == 'symbol') {
+        return Reflect.get(target, key, receiver);
+      }
+      if (Array.isArray(target) && ARRAY_METHODS.indexOf(key) >= 0) {
+        return function(...args) {
+          let result = store[key](path, ...args.map(unwrap));
+          return RETURNS_ARRAY.indexOf(key) >= 0 ? receiver : result;
+        };
+      }
+      if (Array.isArray(target) && SEARCH_METHODS.indexOf(key) >= 0) {
+        // items are compared as objects, not as views
+        return function(item, ...args) {
+          return target[key](unwrap(item), ...args);
+        };
+      }
+      let value = target[key];
+      if (typeof value == 'function' || !target.hasOwnProperty(key)) {
+        return value;
+      }
+      return view(store, value, parts.concat(key));
+    },
+    set: function(target, key, value) {
+      value = unwrap(value);
+      if (typeof key == 'symbol') {
+        target[key] = value;
+      } else if (Array.isArray(target) && key == 'length' &&
+                 value < target.length) {
+        store.splice(path, value, target.length - value);
+      } else if (Array.isArray(target) && key == String(target.length)) {
+        store.push(path, value);
+      } else {
+        setKey(store, target, parts, key, value);
+      }
+      return true;
+    },
+    deleteProperty: function(target, key) {
+      if (target.hasOwnProperty(key)) {
+        delete target[key];
+        store.notifyPath(Path.join(parts.concat(key)), undefined);
+      }
+      return true;
+    }
+  };
+}
+
+/**
+ * Returns the proxy handler for the root properties of the store. Other
+ * members of the store are not visible. Assigning to read-only and
+ * computed properties fails, as for read-only properties of objects
+ * (a `TypeError` in strict mode).
+ *
+ * @param {Object} store The store
+ * @return {Object} Proxy handler
+ * @private
+ */
+function rootHandler(store) {
+  let roots = function() {
+    return Object.keys(store.__properties).filter(function(name) {
+      return !Path.isDeep(name);
+    });
+  };
+  let isRoot = function(key) {
+    return typeof key == 'string' && roots().indexOf(key) >= 0;
+  };
+  return {
+    get: function(target, key) {
+      return isRoot(key) ? view(store, store[key], [key]) : undefined;
+    },
+    set: function(target, key, value) {
+      if (!isRoot(key) || store._hasReadOnlyEffect(key)) {
+        return false;
+      }
+      store.set(key, unwrap(value));
+      return true;
+    },
+    has: function(target, key) {
+      return isRoot(key);
+    },
+    ownKeys: function() {
+      return roots();
+    },
+    getOwnPropertyDescriptor: function(target, key) {
+      if (isRoot(key)) {
+        return {
+          value: this.get(target, key),
+          writable: !store._hasReadOnlyEffect(key),
+          enumerable: true,
+          configurable: true
+        };
+      }
+    }
+  };
+}
+
+module.exports = {
+  /**
+   * Creates the proxy view of the state of a store (see `Store#state`).
+   *
+   * @param {Object} store The store
+   * @return {Proxy} View of the root properties
+   */
+  create: function(store) {
+    caches.set(store, new WeakMap());
+    return new Proxy({}, rootHandler(store));
+  },
+
+  /**
+   * Returns the object viewed by a proxy, or the value itself.
+   *
+   * @param {*} value Value or proxy view
+   * @return {*} The value
+   */
+  unwrap: unwrap
+};
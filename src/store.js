@@ -3,6 +3,56 @@
 
 var BatchedEffects = require('./batched-effects');
 //var PropertyEffects = require('./property-effects');
+const Path = require('./path');
+const Types = require('./types');
+const utils = require('./utils');
+const History = require('./history');
+const Equality = require('./equality');
+const Graph = require('./graph');
+const StateProxy = require('./state-proxy');
+const Validation = require('./validation');
+
+// Properties holding the validation state
+const VALIDATION_STATE = ['errors', 'valid', 'validating'];
+
+/**
+ * Describes a value for messages, e.g. `string "forty"`. Values that
+ * cannot be serialized (circular objects, BigInts) are described by
+ * their type only.
+ *
+ * @param {*} value Value
+ * @return {string} Description
+ * @private
+ */
+function describeValue(value) {
+  try {
+    return typeof value + ' ' + JSON.stringify(value);
+  } catch (e) {
+    return typeof value;
+  }
+}
+
+/**
+ * Calls subscribers whose path matches a changed path.
+ *
+ * @param {Object} inst Store
+ * @param {Object} changedProps Bag of changed paths
+ * @param {Object} oldProps Bag of previous values
+ * @private
+ */
+function runSubscribers(inst, changedProps, oldProps) {
+  // unsubscribing replaces the list, so it is safe to iterate
+  let subscribers = inst.__dataSubscribers;
+  for (let path in changedProps) {
+    for (let i=0; i<subscribers.length; i++) {
+      let subscriber = subscribers[i];
+      if (subscriber.active && Path.matches(subscriber.path, path)) {
+        subscriber.callback.call(inst, changedProps[path],
+                                 oldProps && oldProps[path], path);
+      }
+    }
+  }
+}
 
 /**
  * Store
@@ -10,15 +60,72 @@ var BatchedEffects = require('./batched-effects');
  */
 class Store extends BatchedEffects {
 
-  constructor(properties, methods) {
+  /**
+   * @param {Object} properties Property configs by name
+   * @param {Object} methods Methods used by observers and computed props
+   * @param {Object=} options Store options:
+   *
+   * * typeMismatch: {string} what to do when a value set to a typed
+   * property cannot be converted to its `type`: 'warn' (default) logs
+   * a warning, 'throw' throws a `TypeError`, 'ignore' does nothing.
+   * The value is set as is unless an error is thrown.
+   *
+   * * observers: {Array<(string|Object)>} multi-property observers in the
+   * form `'methodName(arg1, [..., argn])'`, e.g.
+   * `'_onNameChanged(firstName, lastName)'`, or
+   * `{ deps: ['firstName', 'lastName'], fn: function(first, last) {} }`.
+   * An observer runs once per flush when any of its arguments
+   * changes. Wildcard arguments
+   * (`'group.members.*'`) receive a change record with `path`, `value`
+   * and `base` fields.
+   *
+   * * history: {(boolean|Object)} enables `undo` and `redo`. Pass
+   * `{ limit: n }` to keep at most `n` undo steps.
+   *
+   * * immutable: {boolean} trusts object identity: setting the same object
+   * or array again is not a change. Objects must then be replaced rather
+   * than mutated, unless mutated via paths (`set('foo.bar', ...)`).
+   *
+   * * createMissing: {boolean} setting a path creates its missing
+   * ancestors: plain objects, or arrays when the next key is an index,
+   * e.g. `set('insurer.address.city', 'X')` creates `insurer.address`.
+   * Every created ancestor is notified as a change of its path.
+   *
+   * * strictPaths: {boolean} setting a path that cannot be reached throws
+   * an error instead of doing nothing.
+   *
+   * Both path options may also be given per call of `set`.
+   */
+  constructor(properties, methods, options) {
     super();
 
+    options = options || {};
+    this.__typeMismatch = options.typeMismatch || 'warn';
+    this.__immutable = Boolean(options.immutable);
+    this.__dataPathOptions = {
+      createMissing: Boolean(options.createMissing),
+      strictPaths: Boolean(options.strictPaths)
+    };
+    this.__properties = {};
+    this.__eventListeners = {};
+    this.__dataSubscribers = [];
+    this.__dataFlushDepth = 0;
+    this.__transaction = null;
+    this.__dataApplyingStep = false;
+    this.__stateProxy = null;
+    this.__validatedPaths = [];
+    this.__validationRuns = {};
+    this.__validationPending = {};
+    this.__dataValidated = false;
+    this.__history = options.history ? new History(options.history.limit) :
+      null;
+
     // save properties and methods from config to the instance
     for (var item in methods){
       this[item] = methods[item];
     }
 
-    this._finalizeConfig(properties);
+    this._finalizeConfig(properties, options.observers);
   }
 
   /**
@@ -40,29 +147,64 @@ class Store extends BatchedEffects {
    * @param {*=} info Info object from which to create property effects.
    * Supported keys:
    *
-   * * type: {function} type to which an attribute matching the property
-   * is deserialized. Note the property is camel-cased from a dash-cased
-   * attribute. For example, 'foo-bar' attribute is dersialized to a
-   * property named 'fooBar'.
+   * * type: {function} type to which values set via `set` or
+   * `setProperties` are converted, e.g. '42' to 42 for `Number` or an
+   * ISO string to a `Date`. Values assigned to the accessor (e.g.
+   * `store.age = '42'`) are set as they are, without conversion. Values
+   * that cannot be converted are handled according to the `typeMismatch`
+   * option. Converters for other types may be added with
+   * `Store.registerType`. `Store` (or a subclass) declares a child store,
+   * see `model`.
+   *
+   * * model: {Object} config of a child store created as the default
+   * value: `{ properties, methods, options }`, created with `type` when
+   * given. Changes of a child store set to a property (e.g. `city` of a
+   * child store in `address`) are notified as paths of the property
+   * (`address.city`), and the child store is flushed with the store.
    *
    * * readOnly: {boolean} creates a readOnly property and
    * makes a private setter for the private of the form '_setFoo' for a
    * property 'foo',
    *
-   * * computed: {string} creates a computed property. A computed property
-   * also automatically is set to `readOnly: true`. The value is calculated
-   * by running a method and arguments parsed from the given string. For
-   * example 'compute(foo)' will compute a given property when the
-   * 'foo' property changes by executing the 'compute' method. This method
-   * must return the computed value.
+   * * computed: {(string|Object)} creates a computed property. A computed
+   * property also automatically is set to `readOnly: true`. The value is
+   * calculated by running a method and arguments parsed from the given
+   * string. For example 'compute(foo)' will compute a given property when
+   * the 'foo' property changes by executing the 'compute' method. This
+   * method must return the computed value. A function may be given with
+   * its arguments instead, e.g. `{ deps: ['foo'], fn: foo => foo * 2 }`.
+   *
+   * * notify: {boolean} sends a notification event when the property
+   * changes. For example, a property named 'foo' sends an event named
+   * 'foo-changed' with `event.detail.value` set to the value of the
+   * property. For path changes `event.detail.path` is set to the path.
+   * Listeners are added with `on`.
    *
-   * * notify: {boolean} sends a non-bubbling notification event when
-   * the property changes. For example, a property named 'foo' sends an
-   * event named 'foo-changed' with `event.detail` set to the value of
-   * the property.
+   * * observer: {(string|function)} name of a method (or a function) that
+   * runs when the property changes. The arguments are
+   * (value, previousValue).
    *
-   * * observer: {string} name of a method that runs when the property
-   * changes. The arguments of the method are (value, previousValue).
+   * * value: {*} default value of the property, set when the store is
+   * created and flushed on `ready`. If a function is given, it is called
+   * for every store and its return value is used, so that objects and
+   * arrays are not shared between stores, e.g. `value: () => []`.
+   *
+   * * equals: {(string|function)} decides whether a new value is a
+   * change: 'strict' compares identity, 'shallow' compares keys or items
+   * of objects and arrays, 'deep' compares them recursively. A function
+   * is called with `(value, old)` and returns `true` for equal values.
+   * Equal values do not run effects.
+   *
+   * * required, min, max, minLength, pattern, oneOf, validator: validation
+   * rules, e.g. `{ required: true, minLength: 2, pattern: /^[a-z]+$/i }`.
+   * `validator` is a function (or an array of them) returning an error
+   * message, or a promise of one (see `module:validation`). `messages`
+   * replaces default messages of the rules, e.g. `{ required: 'Enter a
+   * name' }`. A store with rules has read-only, notifying `errors` (error
+   * messages by property), `validating` (whether asynchronous validators
+   * are pending) and `valid` (no errors and nothing pending) properties,
+   * updated after each flush for the properties whose paths changed, and
+   * after asynchronous validators resolve.
    * @private
    */
   /* TODO(sorvell): Users may want control over modifying property
@@ -75,6 +217,11 @@ class Store extends BatchedEffects {
    Also consider adding warnings when an effect cannot be changed.
    */
   _createPropertyFromConfig(name, info) {
+    this.__properties[name] = info;
+    if (info.equals) {
+      // fail early for unknown strategies
+      Equality.get(info.equals);
+    }
     // computed forces readOnly...
     if (info.computed) {
       info.readOnly = true;
@@ -90,25 +237,923 @@ class Store extends BatchedEffects {
     if (info.readOnly && !this._hasReadOnlyEffect(name)) {
       this._createReadOnlyProperty(name, !info.computed);
     }
+    if (info.notify) {
+      this._createNotifyingProperty(name);
+    }
     // always add observer
     if (info.observer) {
       this._createObservedProperty(name, info.observer);
     }
+    if (Validation.hasRules(info)) {
+      this.__validatedPaths.push(name);
+    }
+    // declared properties are always managed, even without effects
+    if (!this._hasPropertyEffect(Path.root(name))) {
+      this._addPropertyEffect(name, this.PROPERTY_EFFECT_TYPES.ANY);
+    }
+  }
+
+  /**
+   * Sets the default value from the `value` key of a property config as
+   * a pending property. Effects of default values run on the first flush.
+   *
+   * @param {string} name Name (or path) of the property
+   * @param {*} value Default value or a function returning it
+   * @protected
+   */
+  _setDefaultValue(name, value) {
+    if (typeof value == 'function') {
+      value = value.call(this);
+    }
+    value = this._coerceValue(name, value);
+    let path = this._setPathOrUnmanagedProperty(name, value);
+    if (path) {
+      this._setPendingProperty(path, value);
+    }
   }
 
-  _finalizeConfig(properties) {
+  _finalizeConfig(properties, observers) {
     if (properties) {
       // process properties
       for (let p in properties) {
         // console.log('createProp', p);
         this._createPropertyFromConfig(p, properties[p]);
       }
+      // fails early for cyclic dependencies
+      this._getComputeOrder();
+      if (this.__validatedPaths.length) {
+        this.__createValidationState();
+      }
+      // defaults are set once all accessors exist
+      for (let p in properties) {
+        let info = properties[p];
+        if ('value' in info) {
+          this._setDefaultValue(p, info.value);
+        } else if (info.model) {
+          this._setDefaultValue(p, function() {
+            let ChildStore = info.type || Store;
+            return new ChildStore(info.model.properties, info.model.methods,
+                                  info.model.options);
+          });
+        }
+      }
+    }
+    if (observers) {
+      for (let i=0; i < observers.length; i++) {
+        this._createMethodObserver(observers[i]);
+      }
+    }
+  }
+
+  /**
+   * Converts a value to the `type` declared in the config of the path.
+   *
+   * @param {(string|Array<(string|number)>)} path Path to the value
+   * @param {*} value Value to convert
+   * @return {*} Converted value, or the value itself when there is
+   *   nothing to convert or it cannot be converted
+   * @protected
+   */
+  _coerceValue(path, value) {
+    let info = this.__properties[Path.normalize(path)];
+    let type = info && info.type;
+    if (type && value != null && !Types.is(type, value)) {
+      let converted = Types.from(type, value);
+      if (converted !== undefined) {
+        return converted;
+      }
+      if (this.__typeMismatch == 'ignore') {
+        return value;
+      }
+      let message = 'property `' + Path.normalize(path) + '` expects ' +
+            Types.name(type) + ', got ' + describeValue(value);
+      if (this.__typeMismatch == 'throw') {
+        throw new TypeError(message);
+      } else if (this.__typeMismatch == 'warn') {
+        console.warn(message);
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Converts the value to the property type, then sets it.
+   *
+   * @public
+   * @see {@link module:property-effects}
+   */
+  set(path, value, root, options) {
+    if (!root) {
+      value = this._coerceValue(path, value);
+    }
+    super.set(path, value, root, options);
+  }
+
+  /**
+   * Converts the values to the property types, then sets them.
+   *
+   * @public
+   * @see {@link module:batched-effects}
+   */
+  setProperties(props) {
+    let values = {};
+    for (let path in props) {
+      values[path] = this._coerceValue(path, props[path]);
+    }
+    super.setProperties(values);
+  }
+
+  /**
+   * Runs subscribers after all effects of the changes.
+   *
+   * @override
+   */
+  _propertiesChanged(currentProps, changedProps, oldProps) {
+    this.__dataFlushDepth++;
+    try {
+      super._propertiesChanged(currentProps, changedProps, oldProps);
+      if (this.__dataSubscribers.length) {
+        runSubscribers(this, changedProps, oldProps);
+      }
+      if (this.__validatedPaths.length) {
+        this.__validateChanges(changedProps);
+      }
+    } finally {
+      this.__dataFlushDepth--;
+    }
+    // changes made by effects belong to the same undo step
+    if (this.__history && !this.__dataFlushDepth) {
+      this.__history.commit();
+    }
+  }
+
+  /**
+   * Records changes to the history and to the current transaction.
+   *
+   * @override
+   */
+  _setPendingProperty(prop, value) {
+    let old = this.__data[prop];
+    let pending = this._isPropertyPending(prop) ? this.__dataPending[prop] :
+          undefined;
+    let changed = super._setPendingProperty(prop, value);
+    if (changed && this.__validatedPaths.length &&
+        VALIDATION_STATE.indexOf(prop) >= 0) {
+      // validation state follows the values, it is not a change of its own
+      return changed;
+    }
+    if (changed) {
+      if (!Path.isDeep(prop)) {
+        this.__attachChild(prop, value, old);
+      }
+      if (pending && pending.indexSplices && value && value.indexSplices) {
+        // splices not flushed yet are merged into the value and have
+        // been recorded already
+        value = {
+          indexSplices: value.indexSplices.slice(pending.indexSplices.length)
+        };
+      }
+      if (this.__transaction) {
+        this.__transaction.changes.push({ path: prop, value: value, old: old });
+      } else {
+        this._recordHistory(prop, value, old);
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * Writes into a child store through its accessors without the child
+   * notifying the change back: it is notified by this store.
+   *
+   * @override
+   */
+  _setPathOrUnmanagedProperty(path, value, options) {
+    let child = this.__data[Path.root(Array.isArray(path) ? path[0] : path)];
+    if (!(child instanceof Store)) {
+      return super._setPathOrUnmanagedProperty(path, value, options);
+    }
+    let propagating = this.__dataPropagating;
+    this.__dataPropagating = true;
+    try {
+      return super._setPathOrUnmanagedProperty(path, value, options);
+    } finally {
+      this.__dataPropagating = propagating;
+    }
+  }
+
+  /**
+   * Attaches a child store set to a root property: its changes are
+   * notified as paths of the property, and it is flushed as a client of
+   * this store. Detaches the replaced child store.
+   *
+   * @param {string} property Root property
+   * @param {*} value New value of the property
+   * @param {*} old Previous value of the property
+   * @private
+   */
+  __attachChild(property, value, old) {
+    if (old instanceof Store) {
+      old.__dataBindings = old.__dataBindings.filter((b) => {
+        return b.path || b.target !== this || b.targetPath != property;
+      });
+    }
+    if (value instanceof Store) {
+      value.__dataBindings = value.__dataBindings.concat({
+        path: '', target: this, targetPath: property
+      });
+      this._enqueueClient(value);
+    }
+  }
+
+  /**
+   * Records a change of a writable property to the history.
+   *
+   * @param {string} path Changed path
+   * @param {*} value New value
+   * @param {*} old Previous value
+   * @private
+   */
+  _recordHistory(path, value, old) {
+    if (this.__history && !this._hasReadOnlyEffect(Path.root(path))) {
+      this.__history.record(path, value, old);
+    }
+  }
+
+  /**
+   * Uses the `equals` strategy of the property config, or identity in the
+   * `immutable` mode.
+   *
+   * @override
+   */
+  _shouldPropChange(property, value, old) {
+    let info = this.__properties[property];
+    if (info && info.equals) {
+      return !Equality.get(info.equals)(value, old);
+    }
+    if (this.__immutable) {
+      return !Equality.strict(value, old);
+    }
+    return super._shouldPropChange(property, value, old);
+  }
+
+  /**
+   * Keeps changes pending until the current transaction is committed, or
+   * until a history step is applied, also when flushed by another store
+   * (a bound source store or a parent store).
+   *
+   * @override
+   */
+  _flushProperties(fromAbove) {
+    if (!this.__transaction && !this.__dataApplyingStep) {
+      super._flushProperties(fromAbove);
+    }
+  }
+
+  /**
+   * Starts a transaction: changes made with `set`, `setProperties`,
+   * `notifyPath` and the array methods are kept pending, without running
+   * computed properties, observers or listeners, until `commit` flushes
+   * them at once or `rollback` reverts them.
+   *
+   * @public
+   */
+  begin() {
+    if (this.__transaction) {
+      throw new Error('Transaction is already in progress');
+    }
+    this.__transaction = {
+      changes: [],
+      data: utils.mixin({}, this.__data),
+      pending: this.__dataPending && utils.mixin({}, this.__dataPending),
+      old: this.__dataOld && utils.mixin({}, this.__dataOld)
+    };
+  }
+
+  /**
+   * Ends the current transaction and flushes its changes once.
+   * The changes form a single undo step.
+   *
+   * @public
+   */
+  commit() {
+    let transaction = this.__transaction;
+    if (!transaction) {
+      throw new Error('No transaction in progress');
+    }
+    this.__transaction = null;
+    transaction.changes.forEach((change) => {
+      this._recordHistory(change.path, change.value, change.old);
+    });
+    this._invalidateProperties();
+  }
+
+  /**
+   * Ends the current transaction and reverts its changes: values of
+   * paths and arrays mutated in place are restored. Nothing is notified.
+   *
+   * @public
+   */
+  rollback() {
+    let transaction = this.__transaction;
+    if (!transaction) {
+      throw new Error('No transaction in progress');
+    }
+    this.__transaction = null;
+    let changes = transaction.changes;
+    for (let i=changes.length-1; i>=0; i--) {
+      let path = changes[i].path;
+      let splices = changes[i].value && changes[i].value.indexSplices;
+      if (path.slice(-8) == '.splices' && splices) {
+        for (let j=splices.length-1; j>=0; j--) {
+          let s = splices[j];
+          s.object.splice(s.index, s.addedCount, ...s.removed);
+        }
+      } else if (!Path.isDeep(path)) {
+        // earlier changes of paths are reverted on the previous root
+        this.__data[path] = changes[i].old;
+      } else if (path.slice(-7) != '.length') {
+        Path.set(this, path, changes[i].old);
+      }
+    }
+    // cached paths
+    this.__data = transaction.data;
+    this.__dataPending = transaction.pending;
+    this.__dataOld = transaction.old;
+  }
+
+  /**
+   * Runs the function in a transaction (see `begin`). The transaction is
+   * committed when the function returns and rolled back when it throws.
+   *
+   * Example:
+   *
+   *     store.transaction(function() {
+   *       this.set('order.status', response.status);
+   *       this.splice('order.items', 0, 1);
+   *     });
+   *
+   * @param {Function} fn Function making changes, called with the store
+   *   as `this`
+   * @return {*} Result of the function
+   * @public
+   */
+  transaction(fn) {
+    this.begin();
+    let result;
+    try {
+      result = fn.call(this, this);
+    } catch (e) {
+      this.rollback();
+      throw e;
+    }
+    this.commit();
+    return result;
+  }
+
+  /**
+   * Reverts the last step of changes made with `set`, `setProperties`
+   * and the array methods. The changes of the step are flushed at once,
+   * computed properties are recomputed as usual.
+   * Requires the `history` option.
+   *
+   * @return {boolean} Whether a step was reverted
+   * @public
+   */
+  undo() {
+    return this.__applyStep('undo', (change) => {
+      if ('index' in change) {
+        this.splice(change.path, change.index, change.added.length,
+                    ...change.removed);
+      } else {
+        this.set(change.path, change.old);
+      }
+    });
+  }
+
+  /**
+   * Repeats the last step reverted with `undo`.
+   *
+   * @return {boolean} Whether a step was repeated
+   * @public
+   */
+  redo() {
+    return this.__applyStep('redo', (change) => {
+      if ('index' in change) {
+        this.splice(change.path, change.index, change.removed.length,
+                    ...change.added);
+      } else {
+        this.set(change.path, change.value);
+      }
+    });
+  }
+
+  /**
+   * Applies the changes of an undo or redo step as pending changes, then
+   * flushes them once, without recording them.
+   *
+   * @param {string} method 'undo' or 'redo'
+   * @param {Function} apply Function applying a change
+   * @return {boolean} Whether there was a step to apply
+   * @private
+   */
+  __applyStep(method, apply) {
+    if (!this.__history) {
+      return false;
     }
-    // if (observers) {
-    //   for (let i=0; i < observers.length; i++) {
-    //     this._createMethodObserver(observers[i]);
-    //   }
-    // }
+    return this.__history[method]((change) => {
+      this.__dataApplyingStep = true;
+      try {
+        apply(change);
+      } finally {
+        this.__dataApplyingStep = false;
+      }
+    }, () => {
+      this._invalidateProperties();
+    });
+  }
+
+  /**
+   * Whether there is a step to undo
+   * @type {boolean}
+   * @public
+   */
+  get canUndo() {
+    return Boolean(this.__history && this.__history.undoSteps.length);
+  }
+
+  /**
+   * Whether there is a step to redo
+   * @type {boolean}
+   * @public
+   */
+  get canRedo() {
+    return Boolean(this.__history && this.__history.redoSteps.length);
+  }
+
+  /**
+   * Proxy view of the root properties. Reads return the values, with
+   * plain objects and arrays viewed through proxies too; assignments go
+   * through `set`, `delete` through `notifyPath`, and `push`, `pop`,
+   * `shift`, `unshift`, `splice`, `sort`, `reverse` and `fill` of arrays
+   * through the methods of the store notifying splices. Child stores are
+   * viewed as their `state`. Only declared root properties are visible,
+   * and read-only and computed ones can not be assigned.
+   *
+   * Example:
+   *
+   *     store.state.group.members.push({ name: 'Ann' });
+   *     store.state.group.members[0].name = 'Anna';
+   *     // same as
+   *     store.push('group.members', { name: 'Ann' });
+   *     store.set('group.members.0.name', 'Anna');
+   *
+   * A view is cached per object and path, so reading a path twice gives
+   * the same proxy, while the same object read from two paths gives two
+   * proxies. `indexOf`, `lastIndexOf` and `includes` of arrays find items
+   * given as objects or as views. Views of array items keep the index
+   * they were read at: after items move, read the item again.
+   *
+   * @type {Proxy}
+   * @public
+   */
+  get state() {
+    if (!this.__stateProxy) {
+      this.__stateProxy = StateProxy.create(this);
+    }
+    return this.__stateProxy;
+  }
+
+  /**
+   * Runs the function and records all changes it makes as a single
+   * undo step.
+   *
+   * @param {Function} fn Function making changes, called with the store
+   *   as `this`
+   * @return {*} Result of the function
+   * @public
+   */
+  groupHistory(fn) {
+    if (!this.__history) {
+      return fn.call(this);
+    }
+    this.__history.beginGroup();
+    try {
+      return fn.call(this);
+    } finally {
+      this.__history.endGroup();
+    }
+  }
+
+  /**
+   * Removes all undo and redo steps.
+   *
+   * @public
+   */
+  clearHistory() {
+    if (this.__history) {
+      this.__history.clear();
+    }
+  }
+
+  /**
+   * Calls the callback with `(value, oldValue, changedPath)` each time
+   * the path, one of its ancestors or descendants changes (see
+   * `Path.matches`). A trailing `.*` is allowed for readability:
+   * `'group.members.*'` and `'group.members'` are the same.
+   *
+   * Example:
+   *
+   *     let unsubscribe = store.subscribe('group.members.*',
+   *       (value, old, path) => console.log(path, value));
+   *     ...
+   *     unsubscribe();
+   *
+   * @param {(string|Array<(string|number)>)} path Path to subscribe to
+   * @param {Function} callback Function to call on changes
+   * @return {Function} Function that removes the subscription
+   * @public
+   */
+  subscribe(path, callback) {
+    path = Path.normalize(path);
+    if (path.slice(-2) == '.*') {
+      path = path.slice(0, -2);
+    }
+    let subscriber = { path: path, callback: callback, active: true };
+    this.__dataSubscribers = this.__dataSubscribers.concat(subscriber);
+    return () => {
+      subscriber.active = false;
+      this.__dataSubscribers = this.__dataSubscribers.filter(function(item) {
+        return item !== subscriber;
+      });
+    };
+  }
+
+  /**
+   * Validates all properties with validation rules again and resolves
+   * once asynchronous validators have settled.
+   *
+   * Example:
+   *
+   *     store.validate().then((valid) => valid && submit(store.getState()));
+   *
+   * @return {Promise<boolean>} Promise of `valid`
+   * @public
+   */
+  validate() {
+    this.__validatePaths(this.__validatedPaths);
+    let settled = () => {
+      let pending = Object.keys(this.__validationPending).map((path) => {
+        return this.__validationPending[path];
+      });
+      return pending.length ? Promise.all(pending).then(settled) :
+        Boolean(this.valid);
+    };
+    return settled();
+  }
+
+  /**
+   * Creates the read-only, notifying `errors`, `valid` and `validating`
+   * properties.
+   *
+   * @private
+   */
+  __createValidationState() {
+    VALIDATION_STATE.forEach((name) => {
+      if (name in this.__properties) {
+        throw new Error('Property `' + name + '` is reserved for ' +
+                        'validation state');
+      }
+      this._createReadOnlyProperty(name);
+      this._createNotifyingProperty(name);
+    });
+    this._setPendingProperty('errors', {});
+    this._setPendingProperty('valid', true);
+    this._setPendingProperty('validating', false);
+  }
+
+  /**
+   * Validates the properties affected by changed paths, or all of them
+   * on the first flush.
+   *
+   * @param {Object} changedProps Bag of changed paths
+   * @private
+   */
+  __validateChanges(changedProps) {
+    let paths = this.__validatedPaths;
+    if (this.__dataValidated) {
+      paths = paths.filter(function(name) {
+        for (let path in changedProps) {
+          if (Path.matches(name, path)) {
+            return true;
+          }
+        }
+        return false;
+      });
+    }
+    this.__dataValidated = true;
+    if (paths.length) {
+      this.__validatePaths(paths);
+    }
+  }
+
+  /**
+   * Runs the rules of the properties and updates the validation state.
+   * Asynchronous results update it once they resolve, unless the
+   * property has been validated again in the meantime; until then the
+   * previous error is kept, `validating` is `true` and `valid` is
+   * `false`.
+   *
+   * @param {Array<string>} paths Paths of the properties
+   * @private
+   */
+  __validatePaths(paths) {
+    let errors = {};
+    paths.forEach((path) => {
+      let run = this.__validationRuns[path] =
+            (this.__validationRuns[path] || 0) + 1;
+      let result = Validation.validate(this.__properties[path],
+                                       Path.get(this, path), this);
+      delete this.__validationPending[path];
+      if (result && typeof result.then == 'function') {
+        let done = (message) => {
+          if (this.__validationRuns[path] === run) {
+            delete this.__validationPending[path];
+            this.__setErrors({ [path]: message });
+          }
+        };
+        this.__validationPending[path] = result.then(done, (error) => {
+          done(Validation.errorMessage(error));
+        });
+      } else {
+        errors[path] = result;
+      }
+    });
+    this.__setErrors(errors);
+  }
+
+  /**
+   * Sets error messages (`undefined` for valid paths) into a new `errors`
+   * object, if any of them changed, and updates `valid` and `validating`.
+   *
+   * @param {Object} messages Error messages by path
+   * @private
+   */
+  __setErrors(messages) {
+    let errors = utils.mixin({}, this.__data.errors);
+    let changed = false;
+    for (let path in messages) {
+      if (errors[path] !== messages[path]) {
+        changed = true;
+        if (messages[path] === undefined) {
+          delete errors[path];
+        } else {
+          errors[path] = messages[path];
+        }
+      }
+    }
+    if (changed) {
+      this._setPendingProperty('errors', errors);
+    }
+    let validating = Object.keys(this.__validationPending).length > 0;
+    let valid = !validating && !Object.keys(errors).length;
+    let validChanged = this._setPendingProperty('valid', valid);
+    let validatingChanged = this._setPendingProperty('validating',
+                                                     validating);
+    if (changed || validChanged || validatingChanged) {
+      this._invalidateProperties();
+    }
+  }
+
+  /**
+   * Returns a deep copy of the declared root properties. Cached path
+   * values (e.g. `'tourists.length'`) and undefined properties are not
+   * included. Child stores are included as their state.
+   *
+   * @param {Object=} options Pass `{ computed: false }` to leave out
+   *   computed properties
+   * @return {Object} Plain object with values of the properties
+   * @public
+   */
+  getState(options) {
+    let withComputed = !options || options.computed !== false;
+    let state = {};
+    for (let name in this.__properties) {
+      let root = Path.root(name);
+      let info = this.__properties[root];
+      if ((root in state) || (info && info.computed && !withComputed)) {
+        continue;
+      }
+      let value = this.__data[root];
+      if (value instanceof Store) {
+        state[root] = value.getState(options);
+      } else if (value !== undefined) {
+        state[root] = utils.deepClone(value);
+      }
+    }
+    return state;
+  }
+
+  /**
+   * Replaces values of all writable declared root properties with values
+   * from the snapshot (properties missing in the snapshot become
+   * `undefined`) and flushes the changes at once: computed properties
+   * and observers run once with the previous values as old values.
+   * Cached path values are dropped. Read-only and computed properties
+   * are not set. Child stores replace their own state (see `model`).
+   *
+   * Values are deeply copied and converted to the property types.
+   *
+   * @param {Object} snapshot State, e.g. from `getState()`
+   * @public
+   */
+  replaceState(snapshot) {
+    this.__replaceState(snapshot, false);
+  }
+
+  /**
+   * Sets values of writable declared root properties from the snapshot
+   * as pending changes and flushes them (see `replaceState`).
+   *
+   * @param {Object} snapshot State
+   * @param {boolean} keepMissing Whether properties missing in the
+   *   snapshot keep their values instead of becoming `undefined`
+   * @private
+   */
+  __replaceState(snapshot, keepMissing) {
+    snapshot = snapshot || {};
+    for (let path in this.__data) {
+      if (Path.isDeep(path)) {
+        delete this.__data[path];
+      }
+    }
+    let done = {};
+    for (let name in this.__properties) {
+      let root = Path.root(name);
+      if (!done[root] && !this._hasReadOnlyEffect(root)) {
+        done[root] = true;
+        if (keepMissing && !(root in snapshot)) {
+          continue;
+        }
+        let child = this.__data[root];
+        if (child instanceof Store && !(snapshot[root] instanceof Store)) {
+          // child stores replace their own state
+          child.__replaceState(snapshot[root], keepMissing);
+          continue;
+        }
+        let value = this._coerceValue(root, utils.deepClone(snapshot[root]));
+        this._setPendingProperty(root, value);
+      }
+    }
+    this._invalidateProperties();
+  }
+
+  /**
+   * Returns the dependency graph of the properties: which properties
+   * computed properties and observers depend on.
+   *
+   * Without `format`, returns `{ nodes, edges }`: nodes have a `name` and
+   * a `kind` ('property', 'computed', 'readOnly' or 'observer'); edges
+   * have `from`, `to`, `kind` ('compute' or 'observe') and, for path
+   * dependencies, the `path`.
+   *
+   * @param {string=} format 'dot' for Graphviz DOT or 'plantuml' for
+   *   PlantUML text
+   * @return {(Object|string)} The graph, or its text in the format
+   * @public
+   */
+  getDependencyGraph(format) {
+    let graph = Graph.build(this);
+    if (!format) {
+      return graph;
+    } else if (format == 'dot') {
+      return Graph.toDot(graph);
+    } else if (format == 'plantuml') {
+      return Graph.toPlantUml(graph);
+    }
+    throw new Error("Unknown graph format '" + format + "'");
+  }
+
+  /**
+   * Same as `getState()`, used by `JSON.stringify`.
+   *
+   * @return {Object} Plain object with values of the properties
+   * @public
+   */
+  toJSON() {
+    return this.getState();
+  }
+
+  /**
+   * Adds a listener for events of the given type, e.g. `foo-changed`
+   * for a notifying property `foo`. The listener is called with the
+   * event object `{ type, detail }`.
+   *
+   * @param {string} type Event type
+   * @param {Function} listener Listener to call
+   * @public
+   */
+  on(type, listener) {
+    this._addEventListener(type, listener, false);
+  }
+
+  /**
+   * Adds a listener which is removed after the first event of the type.
+   *
+   * @param {string} type Event type
+   * @param {Function} listener Listener to call
+   * @public
+   */
+  once(type, listener) {
+    this._addEventListener(type, listener, true);
+  }
+
+  /**
+   * Removes a listener added with `on` or `once`.
+   *
+   * @param {string} type Event type
+   * @param {Function} listener Listener to remove
+   * @public
+   */
+  off(type, listener) {
+    let listeners = this.__eventListeners[type];
+    if (listeners) {
+      this.__eventListeners[type] = listeners.filter(function(item) {
+        return item.listener !== listener;
+      });
+    }
+  }
+
+  /**
+   * Calls listeners of the event type with `{ type, detail }`.
+   *
+   * @param {string} type Event type
+   * @param {*=} detail Event detail
+   * @public
+   */
+  dispatchEvent(type, detail) {
+    let listeners = this.__eventListeners[type];
+    if (listeners) {
+      let event = { type: type, detail: detail };
+      // listeners may be removed while dispatching
+      listeners.slice().forEach((item) => {
+        if (item.once) {
+          this.off(type, item.listener);
+        }
+        item.listener.call(this, event);
+      });
+    }
+  }
+
+  /**
+   * @param {string} type Event type
+   * @param {Function} listener Listener to call
+   * @param {boolean} once Whether to remove the listener after a call
+   * @private
+   */
+  _addEventListener(type, listener, once) {
+    let listeners = this.__eventListeners[type] ||
+          (this.__eventListeners[type] = []);
+    listeners.push({ listener: listener, once: once });
+  }
+
+  /**
+   * Creates a store with the state from a snapshot (see `replaceState`).
+   * Properties missing in the snapshot keep their default values.
+   * As with the constructor, effects run once `ready` is called.
+   *
+   * @param {Object} properties Property configs by name
+   * @param {Object} methods Methods used by observers and computed props
+   * @param {Object} snapshot State, e.g. from `getState()`
+   * @param {Object=} options Store options
+   * @return {Store} New store
+   * @public
+   */
+  static fromJSON(properties, methods, snapshot, options) {
+    let store = new this(properties, methods, options);
+    store.__replaceState(snapshot, true);
+    return store;
+  }
+
+  /**
+   * Registers a converter for values of properties with the given `type`.
+   *
+   * Example:
+   *
+   *     Store.registerType(Money, function(value) {
+   *       if (typeof value == 'string') {
+   *         return Money.parse(value);
+   *       }
+   *     });
+   *
+   * @param {Function} type Type constructor
+   * @param {(Function|Object)} converter Function returning the converted
+   *   value (or `undefined` if it cannot be converted), or an object with
+   *   `from` and `is` functions
+   * @public
+   */
+  static registerType(type, converter) {
+    Types.register(type, converter);
   }
 
   /**
@@ -117,7 +1162,10 @@ class Store extends BatchedEffects {
    */
   ready() {
     super.ready();
-    // additional logic
+    // run effects of default values
+    this._flushProperties();
+    // defaults can not be undone
+    this.clearHistory();
   }
 }
 
@@ -0,0 +1,152 @@
+/** @module */
+'use strict';
+
+/**
+ * Registered type converters keyed by the type constructor used in the
+ * `type` key of a property config.
+ *
+ * Each converter has the following form:
+ *
+ *   {
+ *     is: function(value) { ... },  // whether the value is of the type
+ *     from: function(value) { ... } // converted value or `undefined`
+ *   }
+ *
+ * @private
+ */
+const converters = new Map();
+
+function isValidDate(value) {
+  return value instanceof Date && value.getTime() === value.getTime();
+}
+
+module.exports = {
+  /**
+   * Registers a converter for a type. Replaces any converter registered
+   * previously for the same type.
+   *
+   * `converter` may be a function, which is used as `from`; `is` then
+   * defaults to an `instanceof` check.
+   *
+   * @param {Function} type Type constructor, e.g. `Number` or `Money`
+   * @param {(Function|Object)} converter Conversion function or an object
+   *   with `is` and `from` functions
+   */
+  register: function(type, converter) {
+    if (typeof converter == 'function') {
+      converter = { from: converter };
+    }
+    converters.set(type, {
+      is: converter.is || function(value) {
+        return value instanceof type;
+      },
+      from: converter.from || function() {}
+    });
+  },
+
+  /**
+   * Whether the value is of the given type. Unknown types are checked
+   * with `instanceof`.
+   *
+   * @param {Function} type Type constructor
+   * @param {*} value Value to check
+   * @return {boolean}
+   */
+  is: function(type, value) {
+    let converter = converters.get(type);
+    if (converter) {
+      return Boolean(converter.is(value));
+    }
+    return typeof type != 'function' || value instanceof type;
+  },
+
+  /**
+   * Converts the value to the given type.
+   *
+   * @param {Function} type Type constructor
+   * @param {*} value Value to convert
+   * @return {*} Converted value, or `undefined` if the value cannot be
+   *   converted
+   */
+  from: function(type, value) {
+    let converter = converters.get(type);
+    if (converter) {
+      let result = converter.from(value);
+      if (result !== undefined && converter.is(result)) {
+        return result;
+      }
+    }
+  },
+
+  /**
+   * Returns a printable name of the type for messages
+   *
+   * @param {Function} type Type constructor
+   * @return {string}
+   */
+  name: function(type) {
+    return (type && type.name) || String(type);
+  }
+};
+
+module.exports.register(String, {
+  is: function(value) {
+    return typeof value == 'string';
+  },
+  from: function(value) {
+    if (typeof value == 'number' || typeof value == 'boolean') {
+      return String(value);
+    }
+    if (isValidDate(value)) {
+      return value.toISOString();
+    }
+  }
+});
+
+module.exports.register(Number, {
+  is: function(value) {
+    return typeof value == 'number';
+  },
+  from: function(value) {
+    if (typeof value == 'string' && value.trim()) {
+      let result = Number(value);
+      // NaN is a mismatch, not a number
+      if (result === result) {
+        return result;
+      }
+    }
+  }
+});
+
+module.exports.register(Boolean, {
+  is: function(value) {
+    return typeof value == 'boolean';
+  },
+  from: function(value) {
+    if (value === 'true') {
+      return true;
+    }
+    if (value === 'false') {
+      return false;
+    }
+  }
+});
+
+module.exports.register(Date, {
+  is: isValidDate,
+  from: function(value) {
+    if (typeof value == 'string' || typeof value == 'number') {
+      return new Date(value);
+    }
+  }
+});
+
+module.exports.register(Array, {
+  is: Array.isArray
+});
+
+module.exports.register(Object, {
+  is: function(value) {
+    return typeof value == 'object';
+  }
+});
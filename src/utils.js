@@ -19,5 +19,45 @@ module.exports = {
       target[i] = source[i];
     }
     return target;
+  },
+
+  /**
+   * Converts "camelCase" identifier (e.g. `fooBarBaz`) to "dash-case"
+   * (e.g. `foo-bar-baz`).
+   *
+   * @method camelToDashCase
+   * @param {string} camel Camel-case identifier
+   * @return {string} Dash-case identifier
+   */
+  camelToDashCase(camel) {
+    return camel.replace(/([A-Z])/g, '-$1').toLowerCase();
+  },
+
+  /**
+   * Deeply copies plain objects, arrays and dates. Objects with a
+   * `toJSON` method are copied from its result.
+   *
+   * @method deepClone
+   * @param {*} value Value to copy
+   * @return {*} Copy of the value
+   */
+  deepClone(value) {
+    if (value === null || typeof value != 'object') {
+      return value;
+    }
+    if (value instanceof Date) {
+      return new Date(value.getTime());
+    }
+    if (Array.isArray(value)) {
+      return value.map(module.exports.deepClone);
+    }
+    if (typeof value.toJSON == 'function') {
+      return module.exports.deepClone(value.toJSON());
+    }
+    let copy = {};
+    for (let key of Object.keys(value)) {
+      copy[key] = module.exports.deepClone(value[key]);
+    }
+    return copy;
   }
 };
@@ -0,0 +1,176 @@
+/** @module */
+'use strict';
+
+/**
+ * Whether a value counts as missing: `undefined`, `null`, an empty string
+ * or an empty array. Rules other than `required` accept missing values.
+ *
+ * @param {*} value Value
+ * @return {boolean} Whether the value is missing
+ * @private
+ */
+function isEmpty(value) {
+  return value == null || value === '' ||
+    (Array.isArray(value) && !value.length);
+}
+
+/**
+ * Built-in rules by config key, in the order they are checked. Each rule
+ * returns the default error message if the value breaks it.
+ * @private
+ */
+const RULES = {
+  required: function(value, required) {
+    if (required && isEmpty(value)) {
+      return 'is required';
+    }
+  },
+  min: function(value, min) {
+    if (value < min) {
+      return 'must be at least ' + min;
+    }
+  },
+  max: function(value, max) {
+    if (value > max) {
+      return 'must be at most ' + max;
+    }
+  },
+  minLength: function(value, minLength) {
+    if (value.length < minLength) {
+      return 'must have at least ' + minLength +
+        (Array.isArray(value) ? ' items' : ' characters');
+    }
+  },
+  pattern: function(value, pattern) {
+    let re = pattern instanceof RegExp ? pattern : new RegExp(pattern);
+    re.lastIndex = 0;
+    if (!re.test(String(value))) {
+      return 'must match ' + re;
+    }
+  },
+  oneOf: function(value, values) {
+    if (values.indexOf(value) === -1) {
+      return 'must be one of ' + values.map(String).join(', ');
+    }
+  }
+};
+
+/**
+ * Converts the result of a custom validator into an error message:
+ * a string is the message, `false` is a default message, anything else
+ * means the value is valid.
+ *
+ * @param {*} result Result of the validator
+ * @return {(string|undefined)} Error message
+ * @private
+ */
+function toMessage(result) {
+  if (typeof result == 'string') {
+    return result || undefined;
+  }
+  if (result === false) {
+    return 'is invalid';
+  }
+}
+
+/**
+ * Converts an error thrown or rejected by a custom validator into an error
+ * message.
+ *
+ * @param {*} error Error
+ * @return {string} Error message
+ * @private
+ */
+function errorMessage(error) {
+  return (error && error.message) || String(error);
+}
+
+/**
+ * Runs custom validators from `index` on, until one fails. Continues
+ * asynchronously once a validator returns a promise. A validator that
+ * throws fails with the message of the error.
+ *
+ * @param {Array<Function>} validators Custom validators
+ * @param {number} index Index of the validator to run first
+ * @param {*} value Value to validate
+ * @param {Object} context `this` of the validators
+ * @return {(string|undefined|Promise)} Error message, or a promise of it
+ * @private
+ */
+function runValidators(validators, index, value, context) {
+  for (let i=index; i<validators.length; i++) {
+    let result;
+    try {
+      result = validators[i].call(context, value);
+    } catch (error) {
+      return errorMessage(error);
+    }
+    if (result && typeof result.then == 'function') {
+      return result.then(function(result) {
+        return toMessage(result) ||
+          runValidators(validators, i + 1, value, context);
+      }, errorMessage);
+    }
+    let message = toMessage(result);
+    if (message) {
+      return message;
+    }
+  }
+}
+
+module.exports = {
+  /**
+   * Whether a property config declares validation rules.
+   *
+   * @param {Object} info Property config
+   * @return {boolean} Whether the property is validated
+   */
+  hasRules: function(info) {
+    return Boolean(info) && ('validator' in info ||
+      Object.keys(RULES).some(function(rule) {
+        return rule in info;
+      }));
+  },
+
+  /**
+   * Validates a value against the rules of a property config: `required`,
+   * `min`, `max`, `minLength`, `pattern`, `oneOf`, then the custom
+   * `validator` (a function or an array of functions). Default messages
+   * of the built-in rules are replaced by the `messages` of the config,
+   * e.g. `{ required: 'Enter a name' }`.
+   *
+   * A custom validator is called with the value and the store as `this`,
+   * and returns an error message, `false` for a default message, or
+   * anything else if the value is valid. It may return a promise of any
+   * of these; a thrown error or a rejected promise gives the message of
+   * the error.
+   *
+   * @param {Object} info Property config
+   * @param {*} value Value to validate
+   * @param {Object} context `this` of custom validators
+   * @return {(string|undefined|Promise)} Error message of the first failing
+   *   rule, `undefined` if the value is valid, or a promise of either if
+   *   a custom validator is asynchronous
+   */
+  validate: function(info, value, context) {
+    let empty = isEmpty(value);
+    for (let rule in RULES) {
+      if (rule in info && (rule == 'required' || !empty)) {
+        let message = RULES[rule](value, info[rule]);
+        if (message) {
+          return (info.messages && info.messages[rule]) || message;
+        }
+      }
+    }
+    let validators = [].concat(info.validator || []);
+    return runValidators(validators, 0, value, context);
+  },
+
+  /**
+   * Converts an error of a custom validator into an error message.
+   *
+   * @param {*} error Error
+   * @return {string} Error message
+   */
+  errorMessage: errorMessage
+};
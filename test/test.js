@@ -4,6 +4,8 @@ var expect = chai.expect;
 
 var Store = require('../index');
 
+var Path = require('../src/path');
+
 var props = {
   firstName: {
     type: String
@@ -211,3 +213,1993 @@ describe('Array', function() {
     
   });
 });
+
+describe('Types', function() {
+  var config = {
+    age: { type: Number, observer: '_changed' },
+    active: { type: Boolean, observer: '_changed' },
+    birthday: { type: Date, observer: '_changed' },
+    tags: { type: Array, observer: '_changed' }
+  };
+
+  var changed;
+
+  var createStore = function(options) {
+    var store = new Store(config, {
+      _changed: function(value, old, property) {
+        changed.push(property);
+      }
+    }, options);
+    store.ready();
+    return store;
+  };
+
+  beforeEach(function() {
+    changed = [];
+  });
+
+  it('should convert values on set and setProperties', function() {
+    var store = createStore();
+    store.set('age', '42');
+    store.setProperties({ active: 'true', birthday: '2016-12-01T00:00:00.000Z' });
+
+    expect(store.age).to.equal(42);
+    expect(store.active).to.equal(true);
+    expect(store.birthday).to.be.an.instanceof(Date);
+    expect(store.birthday.getTime()).to.equal(Date.UTC(2016, 11, 1));
+    expect(changed).to.deep.equal(['age', 'active', 'birthday']);
+  });
+
+  it('should keep null and undefined as is', function() {
+    var store = createStore({ typeMismatch: 'throw' });
+    store.set('age', 1);
+    store.set('age', null);
+    expect(store.age).to.equal(null);
+  });
+
+  it('should report mismatches according to the policy', function() {
+    var store = createStore({ typeMismatch: 'throw' });
+    expect(function() {
+      store.set('age', 'forty');
+    }).to.throw(TypeError, /age/);
+    expect(function() {
+      store.setProperties({ active: true, tags: 'a,b' });
+    }).to.throw(TypeError, /tags/);
+    // nothing is set when setProperties throws
+    expect(store.active).to.equal(undefined);
+
+    store = createStore({ typeMismatch: 'ignore' });
+    store.set('age', 'forty');
+    expect(store.age).to.equal('forty');
+  });
+
+  it('should describe values that cannot be serialized', function() {
+    var circular = {};
+    circular.self = circular;
+    var store = createStore({ typeMismatch: 'ignore' });
+    store.set('age', circular);
+    expect(store.age).to.equal(circular);
+    store = createStore({ typeMismatch: 'throw' });
+    expect(function() {
+      store.set('age', circular);
+    }).to.throw(TypeError, 'property `age` expects Number, got object');
+    store.age = '42';
+    expect(store.age).to.equal('42');
+  });
+
+  it('should use registered converters', function() {
+    function Money(cents) {
+      this.cents = cents;
+    }
+    Store.registerType(Money, function(value) {
+      if (typeof value == 'number') {
+        return new Money(Math.round(value * 100));
+      }
+    });
+
+    var store = new Store({
+      price: { type: Money, observer: '_changed' }
+    }, {
+      _changed: function() {}
+    }, { typeMismatch: 'throw' });
+    store.ready();
+
+    store.set('price', 1.5);
+    expect(store.price).to.be.an.instanceof(Money);
+    expect(store.price.cents).to.equal(150);
+    expect(function() {
+      store.set('price', '1.5');
+    }).to.throw(TypeError, /Money/);
+  });
+});
+
+describe('Default values', function() {
+  var changed;
+
+  var config = {
+    firstName: { type: String, value: 'Ivan' },
+    lastName: { type: String, value: 'Rave' },
+    tags: { type: Array, value: function() { return []; } },
+    count: { type: Number, value: '3' },
+    fullName: {
+      type: String,
+      computed: '_computeFullName(firstName, lastName)',
+      observer: '_changed'
+    }
+  };
+
+  var methods = {
+    _changed: function(value, old, property) {
+      changed.push(property);
+    },
+    _computeFullName: function(firstName, lastName) {
+      return firstName + ' ' + lastName;
+    }
+  };
+
+  beforeEach(function() {
+    changed = [];
+  });
+
+  it('should run effects of defaults once on ready', function() {
+    var store = new Store(config, methods);
+    expect(store.fullName).to.equal(undefined);
+    expect(changed).to.deep.equal([]);
+
+    store.ready();
+    expect(store.__data).to.deep.equal({
+      firstName: 'Ivan',
+      lastName: 'Rave',
+      tags: [],
+      count: 3,
+      fullName: 'Ivan Rave'
+    });
+    expect(changed).to.deep.equal(['fullName']);
+  });
+
+  it('should create values from factories for every store', function() {
+    var a = new Store(config, methods);
+    var b = new Store(config, methods);
+    a.ready();
+    b.ready();
+    expect(a.tags).to.not.equal(b.tags);
+  });
+});
+
+describe('Observers', function() {
+  var calls;
+  var store;
+
+  beforeEach(function() {
+    calls = [];
+    store = new Store({
+      firstName: { type: String },
+      lastName: { type: String },
+      group: { type: Object }
+    }, {
+      _onNameChanged: function(firstName, lastName) {
+        calls.push([firstName, lastName]);
+      },
+      _onMembers: function(change) {
+        calls.push(change);
+      }
+    }, {
+      observers: [
+        '_onNameChanged(firstName, lastName)',
+        '_onMembers(group.members.*)'
+      ]
+    });
+    store.ready();
+  });
+
+  it('should run once per flush with all arguments', function() {
+    store.setProperties({ firstName: 'Ivan', lastName: 'Rave' });
+    expect(calls).to.deep.equal([['Ivan', 'Rave']]);
+
+    store.set('lastName', 'Petrov');
+    expect(calls).to.deep.equal([['Ivan', 'Rave'], ['Ivan', 'Petrov']]);
+  });
+
+  it('should pass wildcard change records', function() {
+    var members = [{ name: 'a' }];
+    store.set('group', { members: members });
+    expect(calls).to.deep.equal([{
+      path: 'group.members', value: members, base: members
+    }]);
+
+    calls = [];
+    store.set('group.members.0.name', 'b');
+    expect(calls).to.deep.equal([{
+      path: 'group.members.0.name', value: 'b', base: members
+    }]);
+
+    calls = [];
+    store.push('group.members', { name: 'c' });
+    expect(calls.map(function(c) { return c.path; })).to.deep.equal([
+      'group.members.splices', 'group.members.length'
+    ]);
+    expect(calls[0].value.indexSplices[0].addedCount).to.equal(1);
+  });
+
+  it('should throw for malformed expressions', function() {
+    expect(function() {
+      new Store({}, {}, { observers: ['_broken'] });
+    }).to.throw(/Malformed observer/);
+  });
+});
+
+describe('Events', function() {
+  var log;
+  var store;
+
+  beforeEach(function() {
+    log = [];
+    store = new Store({
+      firstName: { type: String, notify: true, observer: '_changed' },
+      group: { type: Object, notify: true }
+    }, {
+      _changed: function(value) {
+        log.push('observer ' + value);
+      }
+    });
+    store.ready();
+  });
+
+  it('should fire dash-cased changed events after observers', function() {
+    store.on('first-name-changed', function(event) {
+      log.push(event.type + ' ' + event.detail.value);
+      expect(this).to.equal(store);
+    });
+    store.set('firstName', 'Ivan');
+    expect(log).to.deep.equal([
+      'observer Ivan', 'first-name-changed Ivan'
+    ]);
+  });
+
+  it('should set detail.path for path changes', function() {
+    var details = [];
+    store.on('group-changed', function(event) {
+      details.push(event.detail);
+    });
+    store.set('group', { name: 'a' });
+    store.set('group.name', 'b');
+    expect(details).to.deep.equal([
+      { value: { name: 'b' } },
+      { value: 'b', path: 'group.name' }
+    ]);
+  });
+
+  it('should fire an event for every path changed in a flush', function() {
+    var details = [];
+    store.set('group', {});
+    store.on('group-changed', function(event) {
+      details.push(event.detail);
+    });
+    store.setProperties({ 'group.a': 5, 'group.b': 6 });
+    expect(details).to.deep.equal([
+      { value: 5, path: 'group.a' },
+      { value: 6, path: 'group.b' }
+    ]);
+  });
+
+  it('should remove listeners with off and after once', function() {
+    var count = 0;
+    var listener = function() {
+      count++;
+    };
+    store.on('first-name-changed', listener);
+    store.once('first-name-changed', function() {
+      count += 10;
+    });
+    store.set('firstName', 'a');
+    store.off('first-name-changed', listener);
+    store.set('firstName', 'b');
+    expect(count).to.equal(11);
+  });
+});
+
+describe('Subscriptions', function() {
+  var store;
+
+  beforeEach(function() {
+    store = new Store({
+      group: { type: Object },
+      firstName: { type: String },
+      fullName: { type: String, computed: '_computeFullName(firstName)' }
+    }, {
+      _computeFullName: function(firstName) {
+        return firstName + '!';
+      }
+    });
+    store.ready();
+  });
+
+  it('should deliver value, old value and changed path', function() {
+    var calls = [];
+    store.subscribe('group.members.*', function(value, old, path) {
+      calls.push([path, value, old]);
+    });
+    store.set('group', { members: [] });
+    store.push('group.members', 'a');
+    store.set('firstName', 'Ivan');
+
+    expect(calls.map(function(c) { return c[0]; })).to.deep.equal([
+      'group', 'group.members.splices', 'group.members.length'
+    ]);
+    expect(calls[2].slice(1)).to.deep.equal([1, undefined]);
+  });
+
+  it('should receive computed changes', function() {
+    var values = [];
+    store.subscribe('fullName', function(value) {
+      values.push(value);
+    });
+    store.set('firstName', 'Ivan');
+    expect(values).to.deep.equal(['Ivan!']);
+  });
+
+  it('should stop calling after unsubscribe', function() {
+    var count = 0;
+    var unsubscribe = store.subscribe('firstName', function() {
+      count++;
+      unsubscribe();
+    });
+    store.subscribe('firstName', function() {
+      count += 10;
+    });
+    store.set('firstName', 'a');
+    store.set('firstName', 'b');
+    expect(count).to.equal(21);
+    expect(store.__observeEffects).to.equal(undefined);
+  });
+});
+
+describe('State', function() {
+  var store;
+
+  beforeEach(function() {
+    store = new Store(props, methods);
+    store.ready();
+  });
+
+  it('should return declared root properties only', function() {
+    store.set('firstName', 'Ivan');
+    store.set('lastName', 'Rave');
+    store.set('tourists', []);
+    store.push('tourists', { name: 'a' });
+    store.set('tourists.0.name', 'b');
+    store.set('group', { members: [] });
+
+    expect(store.getState()).to.deep.equal({
+      firstName: 'Ivan',
+      lastName: 'Rave',
+      tourists: [{ name: 'b' }],
+      group: { members: [] },
+      fullName: 'Ivan Rave',
+      isNameValid: false,
+      isFormValid: false
+    });
+    expect(store.getState({ computed: false })).to.deep.equal({
+      firstName: 'Ivan',
+      lastName: 'Rave',
+      tourists: [{ name: 'b' }],
+      group: { members: [] }
+    });
+  });
+
+  it('should copy values deeply', function() {
+    store.set('tourists', [{ name: 'a', birthday: new Date(0) }]);
+    var state = store.getState();
+    expect(state.tourists).to.not.equal(store.tourists);
+    expect(state.tourists[0]).to.not.equal(store.tourists[0]);
+    expect(state.tourists[0].birthday).to.not.equal(store.tourists[0].birthday);
+    expect(state.tourists[0].birthday.getTime()).to.equal(0);
+  });
+
+  it('should serialize with JSON.stringify', function() {
+    store.set('firstName', 'Ivan');
+    expect(JSON.parse(JSON.stringify(store))).to.deep.equal({
+      firstName: 'Ivan'
+    });
+  });
+});
+
+describe('Replacing state', function() {
+  var log;
+  var config = {
+    firstName: { type: String, observer: '_changed' },
+    lastName: { type: String, observer: '_changed' },
+    birthday: { type: Date },
+    tourists: { type: Array, observer: '_changed' },
+    token: { type: String, readOnly: true },
+    fullName: {
+      type: String,
+      computed: '_computeFullName(firstName, lastName)',
+      observer: '_changed'
+    }
+  };
+  var methods = {
+    _changed: function(value, old, property) {
+      log.push([property, value, old]);
+    },
+    _computeFullName: function(firstName, lastName) {
+      log.push(['compute', firstName, lastName]);
+      return firstName + ' ' + lastName;
+    }
+  };
+
+  beforeEach(function() {
+    log = [];
+  });
+
+  it('should set all writable properties in one flush', function() {
+    var store = new Store(config, methods);
+    store.ready();
+    store.setProperties({ firstName: 'Ivan', lastName: 'Rave' });
+    store.set('tourists', ['a', 'b']);
+    store.set('tourists.1', 'c');
+    store._setToken('secret');
+
+    log = [];
+    store.replaceState({
+      firstName: 'Petr',
+      lastName: 'Petrov',
+      token: 'stolen'
+    });
+
+    expect(log).to.deep.equal([
+      ['compute', 'Petr', 'Petrov'],
+      ['firstName', 'Petr', 'Ivan'],
+      ['lastName', 'Petrov', 'Rave'],
+      ['tourists', undefined, ['a', 'c']],
+      ['fullName', 'Petr Petrov', 'Ivan Rave']
+    ]);
+    expect(store.__data).to.deep.equal({
+      firstName: 'Petr',
+      lastName: 'Petrov',
+      tourists: undefined,
+      token: 'secret',
+      fullName: 'Petr Petrov'
+    });
+  });
+
+  it('should create a store from a snapshot', function() {
+    var snapshot = JSON.parse(JSON.stringify({
+      firstName: 'Ivan',
+      lastName: 'Rave',
+      birthday: new Date(0),
+      tourists: ['a']
+    }));
+    var store = Store.fromJSON(config, methods, snapshot);
+    expect(log).to.deep.equal([]);
+
+    store.ready();
+    expect(store.fullName).to.equal('Ivan Rave');
+    expect(store.birthday.getTime()).to.equal(0);
+    expect(store.tourists).to.not.equal(snapshot.tourists);
+    expect(log.filter(function(entry) {
+      return entry[0] == 'compute';
+    })).to.have.length(1);
+  });
+
+  it('should keep defaults missing in a partial snapshot', function() {
+    var store = Store.fromJSON({
+      firstName: { type: String, observer: '_changed' },
+      lastName: { type: String, value: 'Rave', observer: '_changed' },
+      items: { value: function() { return [1, 2]; }, observer: '_changed' }
+    }, methods, { firstName: 'Ivan' });
+    store.ready();
+    expect(store.items).to.deep.equal([1, 2]);
+    expect(log).to.deep.equal([
+      ['lastName', 'Rave', undefined],
+      ['items', [1, 2], undefined],
+      ['firstName', 'Ivan', undefined]
+    ]);
+  });
+});
+
+describe('History', function() {
+  var store;
+
+  var config = {
+    firstName: { type: String, value: 'Ivan' },
+    lastName: { type: String },
+    tourists: { type: Array, value: function() { return []; } },
+    insurer: { type: Object, value: function() { return { name: 'a' }; } },
+    fullName: {
+      type: String,
+      computed: '_computeFullName(firstName, lastName)'
+    }
+  };
+
+  var methods = {
+    _computeFullName: function(firstName, lastName) {
+      return firstName + ' ' + lastName;
+    }
+  };
+
+  beforeEach(function() {
+    store = new Store(config, methods, { history: { limit: 3 } });
+    store.ready();
+  });
+
+  it('should not record defaults', function() {
+    expect(store.canUndo).to.equal(false);
+    expect(store.undo()).to.equal(false);
+  });
+
+  it('should undo and redo values with computed properties', function() {
+    store.set('lastName', 'Rave');
+    store.set('insurer.name', 'b');
+    expect(store.fullName).to.equal('Ivan Rave');
+
+    expect(store.undo()).to.equal(true);
+    expect(store.insurer.name).to.equal('a');
+    store.undo();
+    expect(store.lastName).to.equal(undefined);
+    expect(store.fullName).to.equal('Ivan undefined');
+    expect(store.canUndo).to.equal(false);
+    expect(store.canRedo).to.equal(true);
+
+    store.redo();
+    store.redo();
+    expect(store.fullName).to.equal('Ivan Rave');
+    expect(store.insurer.name).to.equal('b');
+    expect(store.canRedo).to.equal(false);
+  });
+
+  it('should invert array mutations', function() {
+    store.push('tourists', 'a', 'b', 'c');
+    store.splice('tourists', 1, 1, 'x', 'y');
+    store.pop('tourists');
+    expect(store.tourists).to.deep.equal(['a', 'x', 'y']);
+
+    store.undo();
+    expect(store.tourists).to.deep.equal(['a', 'x', 'y', 'c']);
+    store.undo();
+    expect(store.tourists).to.deep.equal(['a', 'b', 'c']);
+    store.undo();
+    expect(store.tourists).to.deep.equal([]);
+
+    store.redo();
+    store.redo();
+    store.redo();
+    expect(store.tourists).to.deep.equal(['a', 'x', 'y']);
+  });
+
+  it('should group changes into a single step', function() {
+    store.groupHistory(function() {
+      this.set('firstName', 'Petr');
+      this.set('lastName', 'Petrov');
+      this.push('tourists', 'a');
+    });
+    store.undo();
+    expect(store.getState({ computed: false })).to.deep.equal({
+      firstName: 'Ivan',
+      tourists: [],
+      insurer: { name: 'a' }
+    });
+    expect(store.canUndo).to.equal(false);
+  });
+
+  it('should limit the number of steps and clear redo on change', function() {
+    ['a', 'b', 'c', 'd'].forEach(function(name) {
+      store.set('firstName', name);
+    });
+    store.undo();
+    store.undo();
+    store.undo();
+    expect(store.undo()).to.equal(false);
+    expect(store.firstName).to.equal('a');
+
+    store.set('lastName', 'x');
+    expect(store.canRedo).to.equal(false);
+  });
+
+  it('should flush a grouped step once', function() {
+    var computed = 0;
+    var sums = [];
+    store = new Store({
+      a: { type: Number, value: 1 },
+      b: { type: Number, value: 2 },
+      sum: { type: Number, computed: '_sum(a, b)', observer: '_observe' }
+    }, {
+      _sum: function(a, b) {
+        computed++;
+        return a + b;
+      },
+      _observe: function(sum) {
+        sums.push(sum);
+      }
+    }, { history: true });
+    store.ready();
+    store.setProperties({ a: 10, b: 20 });
+    computed = 0;
+    sums = [];
+    store.undo();
+    expect(computed).to.equal(1);
+    expect(sums).to.deep.equal([3]);
+    store.redo();
+    expect(computed).to.equal(2);
+    expect(sums).to.deep.equal([3, 30]);
+    expect(store.canUndo).to.equal(true);
+    expect(store.canRedo).to.equal(false);
+  });
+});
+
+describe('Transactions', function() {
+  var store;
+  var log;
+
+  beforeEach(function() {
+    log = [];
+    store = new Store({
+      firstName: { type: String, value: 'Ivan', observer: '_changed' },
+      lastName: { type: String, value: 'Rave', observer: '_changed' },
+      tourists: { type: Array, value: function() { return ['a']; } },
+      insurer: { type: Object, value: function() { return { name: 'x' }; } },
+      fullName: {
+        type: String,
+        computed: '_computeFullName(firstName, lastName)'
+      }
+    }, {
+      _changed: function(value, old, property) {
+        log.push(property);
+      },
+      _computeFullName: function(firstName, lastName) {
+        log.push('compute');
+        return firstName + ' ' + lastName;
+      },
+      _onTourists: function(change) {
+        log.push(change.path);
+        if (change.path == 'tourists.splices') {
+          log.push(change.value.indexSplices.length);
+        }
+      }
+    }, {
+      history: true,
+      observers: ['_onTourists(tourists.*)']
+    });
+    store.ready();
+    log = [];
+  });
+
+  it('should flush changes once on commit', function() {
+    store.begin();
+    store.set('firstName', 'Petr');
+    store.set('lastName', 'Petrov');
+    store.push('tourists', 'b');
+    store.splice('tourists', 0, 1);
+    expect(log).to.deep.equal([]);
+    expect(store.fullName).to.equal('Ivan Rave');
+
+    store.commit();
+    // the observer runs once per flush
+    expect(log).to.deep.equal([
+      'compute', 'firstName', 'lastName', 'tourists.splices', 2
+    ]);
+    expect(store.fullName).to.equal('Petr Petrov');
+    expect(store.tourists).to.deep.equal(['b']);
+  });
+
+  it('should restore values on rollback without notifications', function() {
+    var tourists = store.tourists;
+    var insurer = store.insurer;
+    store.begin();
+    store.set('firstName', 'Petr');
+    store.set('insurer.name', 'y');
+    store.push('tourists', 'b', 'c');
+    store.shift('tourists');
+    store.set('insurer', { name: 'z' });
+    store.rollback();
+
+    expect(log).to.deep.equal([]);
+    expect(store.tourists).to.equal(tourists);
+    expect(store.insurer).to.equal(insurer);
+    expect(store.__data).to.deep.equal({
+      firstName: 'Ivan',
+      lastName: 'Rave',
+      tourists: ['a'],
+      insurer: { name: 'x' },
+      fullName: 'Ivan Rave'
+    });
+
+    // works as usual after the rollback
+    store.set('firstName', 'Petr');
+    expect(log).to.deep.equal(['compute', 'firstName']);
+  });
+
+  it('should roll back when the function throws', function() {
+    expect(function() {
+      store.transaction(function() {
+        this.push('tourists', 'b');
+        throw new Error('failed');
+      });
+    }).to.throw('failed');
+    expect(store.tourists).to.deep.equal(['a']);
+    expect(function() {
+      store.commit();
+    }).to.throw(/No transaction/);
+  });
+
+  it('should commit as a single undo step', function() {
+    var result = store.transaction(function(self) {
+      self.set('firstName', 'Petr');
+      self.push('tourists', 'b');
+      self.push('tourists', 'c');
+      return 42;
+    });
+    expect(result).to.equal(42);
+    expect(store.tourists).to.deep.equal(['a', 'b', 'c']);
+
+    store.undo();
+    expect(store.firstName).to.equal('Ivan');
+    expect(store.tourists).to.deep.equal(['a']);
+    expect(store.canUndo).to.equal(false);
+  });
+
+  it('should not nest transactions', function() {
+    store.begin();
+    expect(function() {
+      store.begin();
+    }).to.throw(/already in progress/);
+    store.rollback();
+  });
+});
+
+describe('Async computed properties', function() {
+  var store;
+  var requests;
+
+  var request = function(sku) {
+    var entry = { sku: sku };
+    entry.promise = new Promise(function(resolve, reject) {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+    requests.push(entry);
+    return entry.promise;
+  };
+
+  // resolves the request and waits for the result to be set
+  var settle = function(entry, value, error) {
+    if (error) {
+      entry.reject(error);
+    } else {
+      entry.resolve(value);
+    }
+    return entry.promise.catch(function() {}).then(function() {});
+  };
+
+  beforeEach(function() {
+    requests = [];
+    store = new Store({
+      sku: { type: String },
+      count: { type: Number, value: 2 },
+      price: { type: Number, computed: '_computePrice(sku)' },
+      total: { type: Number, computed: '_computeTotal(price, count)' }
+    }, {
+      _computePrice: request,
+      _computeTotal: function(price, count) {
+        return price === undefined ? undefined : price * count;
+      }
+    });
+    store.ready();
+  });
+
+  it('should set the resolved value and compute dependents', function() {
+    store.set('sku', 'a');
+    expect(store.isPending('price')).to.equal(true);
+    expect(store.price).to.equal(undefined);
+    expect(store.total).to.equal(undefined);
+
+    return settle(requests[0], 10).then(function() {
+      expect(store.isPending('price')).to.equal(false);
+      expect(store.price).to.equal(10);
+      expect(store.total).to.equal(20);
+    });
+  });
+
+  it('should discard results of outdated computations', function() {
+    store.set('sku', 'a');
+    store.set('sku', 'b');
+    return settle(requests[1], 5).then(function() {
+      return settle(requests[0], 10);
+    }).then(function() {
+      expect(store.price).to.equal(5);
+      expect(store.isPending('price')).to.equal(false);
+    });
+  });
+
+  it('should keep the rejection reason', function() {
+    var error = new Error('not found');
+    store.set('sku', 'a');
+    return settle(requests[0], null, error).then(function() {
+      expect(store.isPending('price')).to.equal(false);
+      expect(store.getComputeError('price')).to.equal(error);
+      expect(store.price).to.equal(undefined);
+
+      store.set('sku', 'b');
+      expect(store.getComputeError('price')).to.equal(undefined);
+    });
+  });
+
+  it('should dispatch pending and error changes', function() {
+    var log = [];
+    var error = new Error('not found');
+    store.on('price-pending', function(event) {
+      log.push('pending ' + event.detail.value + ' ' + store.price);
+    });
+    store.on('price-error', function(event) {
+      log.push('error ' + (event.detail.value && event.detail.value.message));
+    });
+    store.set('sku', 'a');
+    return settle(requests[0], 10).then(function() {
+      store.set('sku', 'b');
+      return settle(requests[1], null, error);
+    }).then(function() {
+      store.set('sku', 'c');
+      expect(log).to.deep.equal([
+        'pending true undefined', 'pending false 10',
+        'pending true 10', 'pending false 10', 'error not found',
+        'pending true 10', 'error undefined'
+      ]);
+    });
+  });
+});
+
+describe('Equality', function() {
+  var log;
+  var config = {
+    tourists: { type: Array, observer: '_changed' },
+    insurer: { type: Object, equals: 'deep', observer: '_changed' },
+    name: {
+      type: String,
+      equals: function(value, old) {
+        return String(value).toLowerCase() == String(old).toLowerCase();
+      },
+      observer: '_changed'
+    },
+    adults: {
+      type: Array,
+      computed: '_computeAdults(tourists)',
+      equals: 'shallow',
+      observer: '_changed'
+    },
+    count: {
+      type: Number,
+      computed: '_computeCount(adults)',
+      observer: '_changed'
+    }
+  };
+  var methods = {
+    _changed: function(value, old, property) {
+      log.push(property);
+    },
+    _computeAdults: function(tourists) {
+      return tourists.filter(function(tourist) {
+        return tourist.age >= 18;
+      });
+    },
+    _computeCount: function(adults) {
+      return adults.length;
+    }
+  };
+
+  beforeEach(function() {
+    log = [];
+  });
+
+  it('should skip equal computed values', function() {
+    var store = new Store(config, methods);
+    store.ready();
+    var tourists = [{ age: 20 }, { age: 10 }];
+    store.set('tourists', tourists);
+    expect(log).to.deep.equal(['tourists', 'adults', 'count']);
+
+    log = [];
+    store.set('tourists', tourists.concat({ age: 5 }));
+    expect(log).to.deep.equal(['tourists']);
+  });
+
+  it('should use deep and custom strategies', function() {
+    var store = new Store(config, methods);
+    store.ready();
+    store.set('insurer', { name: 'a', tags: ['x'] });
+    store.set('insurer', { name: 'a', tags: ['x'] });
+    store.set('name', 'Ivan');
+    store.set('name', 'IVAN');
+    expect(log).to.deep.equal(['insurer', 'name']);
+    expect(store.name).to.equal('Ivan');
+  });
+
+  it('should trust identity in the immutable mode', function() {
+    var store = new Store(config, methods, { immutable: true });
+    store.ready();
+    var tourists = [];
+    store.set('tourists', tourists);
+    store.set('tourists', tourists);
+    store.notifyPath('tourists');
+    expect(log).to.deep.equal(['tourists', 'adults', 'count']);
+    store.set('tourists', []);
+    expect(log).to.have.length(4);
+  });
+
+  it('should throw for unknown strategies', function() {
+    expect(function() {
+      new Store({ a: { equals: 'loose' } });
+    }).to.throw(/Unknown equality strategy 'loose'/);
+  });
+});
+
+describe('Computed dependency cycles', function() {
+  var identity = { _f: function(value) { return value; } };
+
+  it('should name the cycle at configuration time', function() {
+    expect(function() {
+      new Store({
+        a: { computed: '_f(c)' },
+        b: { computed: '_f(a)' },
+        c: { computed: '_f(b)' },
+        d: { computed: '_f(a)' }
+      }, identity);
+    }).to.throw('Cyclic computed dependency: a -> c -> b -> a');
+
+    expect(function() {
+      new Store({
+        a: { computed: '_f(a.items.*)' }
+      }, identity);
+    }).to.throw('Cyclic computed dependency: a -> a');
+  });
+
+  it('should guard against cycles at runtime', function() {
+    var store = new Store({
+      a: { type: Number },
+      b: { computed: '_inc(a)' }
+    }, {
+      _inc: function(value) {
+        return value + 1;
+      }
+    });
+    // effect added after the config was checked
+    store._createComputedProperty('a', '_inc(b)');
+    store.ready();
+    expect(function() {
+      store.set('a', 1);
+    }).to.throw(/Cyclic computed dependency: (a -> b -> a|b -> a -> b)/);
+  });
+});
+
+describe('Computed order', function() {
+  var log;
+  var store;
+
+  beforeEach(function() {
+    log = [];
+    store = new Store({
+      // declared before its dependencies on purpose
+      label: {
+        computed: '_computeLabel(firstName, fullName, initials)',
+        observer: '_labelChanged'
+      },
+      fullName: { computed: '_computeFullName(firstName, lastName)' },
+      initials: { computed: '_computeInitials(fullName)' },
+      firstName: { type: String },
+      lastName: { type: String }
+    }, {
+      _computeLabel: function(firstName, fullName, initials) {
+        log.push('label');
+        return firstName + ': ' + fullName + ' (' + initials + ')';
+      },
+      _computeFullName: function(firstName, lastName) {
+        log.push('fullName');
+        return firstName + ' ' + lastName;
+      },
+      _computeInitials: function(fullName) {
+        log.push('initials');
+        return fullName.split(' ').map(function(part) {
+          return part[0];
+        }).join('');
+      },
+      _labelChanged: function(label) {
+        log.push(label);
+      }
+    });
+    store.ready();
+  });
+
+  it('should run every computed property once after its dependencies', function() {
+    store.setProperties({ firstName: 'Ivan', lastName: 'Rave' });
+    expect(log).to.deep.equal([
+      'fullName', 'initials', 'label', 'Ivan: Ivan Rave (IR)'
+    ]);
+
+    log = [];
+    store.set('firstName', 'Petr');
+    expect(log).to.deep.equal([
+      'fullName', 'initials', 'label', 'Petr: Petr Rave (PR)'
+    ]);
+  });
+
+  it('should compute the order once per config', function() {
+    var order = store._getComputeOrder();
+    expect(order).to.deep.equal(['fullName', 'initials', 'label']);
+    store.set('firstName', 'Ivan');
+    expect(store._getComputeOrder()).to.equal(order);
+  });
+});
+
+describe('Dependency graph', function() {
+  var store;
+
+  beforeEach(function() {
+    store = new Store({
+      firstName: { type: String, observer: '_changed' },
+      lastName: { type: String },
+      group: { type: Object },
+      token: { type: String, readOnly: true },
+      fullName: { computed: '_computeFullName(firstName, lastName)' },
+      size: { computed: '_computeSize(group.members.*)' }
+    }, {}, {
+      observers: ['_onNameChanged(firstName, lastName)']
+    });
+  });
+
+  it('should return nodes and edges', function() {
+    var graph = store.getDependencyGraph();
+    expect(graph.nodes).to.deep.equal([
+      { name: 'firstName', kind: 'property' },
+      { name: 'lastName', kind: 'property' },
+      { name: 'group', kind: 'property' },
+      { name: 'token', kind: 'readOnly' },
+      { name: 'fullName', kind: 'computed' },
+      { name: 'size', kind: 'computed' },
+      { name: '_changed', kind: 'observer' },
+      { name: '_onNameChanged', kind: 'observer' }
+    ]);
+    expect(graph.edges).to.deep.equal([
+      { from: 'firstName', to: 'fullName', kind: 'compute' },
+      { from: 'lastName', to: 'fullName', kind: 'compute' },
+      { from: 'group', to: 'size', kind: 'compute', path: 'group.members' },
+      { from: 'firstName', to: '_changed', kind: 'observe' },
+      { from: 'firstName', to: '_onNameChanged', kind: 'observe' },
+      { from: 'lastName', to: '_onNameChanged', kind: 'observe' }
+    ]);
+  });
+
+  it('should export to DOT and PlantUML', function() {
+    var dot = store.getDependencyGraph('dot');
+    expect(dot).to.match(/^digraph dependencies \{\n/);
+    expect(dot).to.contain('  "fullName" [shape=box, style=filled];\n');
+    expect(dot).to.contain('  "group" -> "size" [label="group.members"];\n');
+    expect(dot).to.contain('  "firstName" -> "_changed" [style=dashed];\n');
+
+    var uml = store.getDependencyGraph('plantuml');
+    expect(uml).to.match(/^@startuml\n/);
+    expect(uml).to.contain('rectangle "fullName" as n4 <<computed>>\n');
+    expect(uml).to.contain('usecase "_changed" as n6 <<observer>>\n');
+    expect(uml).to.contain('n2 --> n5 : group.members\n');
+    expect(uml).to.contain('n0 ..> n6\n');
+    expect(uml).to.match(/@enduml\n$/);
+
+    expect(function() {
+      store.getDependencyGraph('svg');
+    }).to.throw(/Unknown graph format/);
+  });
+});
+
+describe('Expressions', function() {
+  var store;
+
+  beforeEach(function() {
+    store = new Store({
+      a: { type: Number, value: 1 },
+      b: { type: Number, value: 2 },
+      isValid: { type: Boolean, value: false },
+      price: { computed: "_format(_sum(a, b), 'USD')" },
+      invalid: { computed: '_identity(!isValid)' },
+      flags: { computed: '_list(a, true, false, null, undefined, !0, -1.5)' }
+    }, {
+      _sum: function(a, b) {
+        return a + b;
+      },
+      _format: function(value, currency) {
+        return value + ' ' + currency;
+      },
+      _identity: function(value) {
+        return value;
+      },
+      _list: function() {
+        return Array.prototype.slice.call(arguments);
+      }
+    });
+    store.ready();
+  });
+
+  it('should support keyword literals and negation', function() {
+    expect(store.flags).to.deep.equal(
+      [1, true, false, null, undefined, true, -1.5]);
+    expect(store.invalid).to.equal(true);
+    store.isValid = true;
+    expect(store.invalid).to.equal(false);
+  });
+
+  it('should track arguments of nested calls as dependencies', function() {
+    expect(store.price).to.equal('3 USD');
+    store.b = 5;
+    expect(store.price).to.equal('6 USD');
+    expect(store.getDependencyGraph().edges).to.deep.include(
+      { from: 'a', to: 'price', kind: 'compute' });
+  });
+
+  it('should report the column of parse errors', function() {
+    expect(function() {
+      new Store({ x: { computed: '_sum(a,, b)' } });
+    }).to.throw(SyntaxError,
+                "Malformed computed expression '_sum(a,, b)': " +
+                "Unexpected ',' at column 8");
+    expect(function() {
+      new Store({}, {}, { observers: ["_log(a, 'b)"] });
+    }).to.throw(/Unterminated string at column 12/);
+    expect(function() {
+      new Store({}, {}, { observers: ['_log(!a.*)'] });
+    }).to.throw(/Wildcard path can not be negated at column 7/);
+  });
+});
+
+describe('Function definitions', function() {
+  var log;
+  var store;
+
+  beforeEach(function() {
+    log = [];
+    var suffix = '!';
+    store = new Store({
+      firstName: {
+        type: String,
+        observer: function(value, old) {
+          log.push(['firstName', value, old]);
+        }
+      },
+      lastName: { type: String },
+      fullName: {
+        computed: {
+          deps: ['firstName', 'lastName'],
+          fn: function(first, last) {
+            return first + ' ' + last + suffix;
+          }
+        }
+      }
+    }, {}, {
+      observers: [{
+        deps: ['fullName', '!lastName'],
+        fn: function onName(fullName, noLastName) {
+          log.push([this === store, fullName, noLastName]);
+        }
+      }]
+    });
+    store.ready();
+  });
+
+  it('should run functions of computed properties and observers', function() {
+    store.setProperties({ firstName: 'Ivan', lastName: 'Rave' });
+    expect(store.fullName).to.equal('Ivan Rave!');
+    expect(log).to.deep.equal([
+      ['firstName', 'Ivan', undefined],
+      [true, 'Ivan Rave!', false]
+    ]);
+  });
+
+  it('should name graph nodes after the functions', function() {
+    var observers = store.getDependencyGraph().nodes.filter(function(node) {
+      return node.kind == 'observer';
+    }).map(function(node) {
+      return node.name;
+    });
+    expect(observers).to.deep.equal(['observer(firstName)', 'onName']);
+  });
+
+  it('should reject malformed definitions', function() {
+    expect(function() {
+      new Store({ x: { computed: { deps: ['a'] } } });
+    }).to.throw(/Malformed computed definition/);
+    expect(function() {
+      new Store({ x: { computed: { deps: ['a.'], fn: function() {} } } });
+    }).to.throw(SyntaxError, /Malformed computed dependency 'a.'/);
+  });
+});
+
+describe('Bracket paths', function() {
+  var log;
+  var store;
+
+  beforeEach(function() {
+    log = [];
+    store = new Store({
+      users: { type: Object, value: function() { return {}; } },
+      items: { type: Array, value: function() { return [{ name: 'a' }]; } },
+      ivan: { computed: '_name(users["ivan@example.com"].name)' }
+    }, {
+      _name: function(name) {
+        return name;
+      },
+      _usersChanged: function(change) {
+        log.push(change.path);
+      }
+    }, {
+      observers: ['_usersChanged(users.*)']
+    });
+    store.ready();
+  });
+
+  it('should split and join paths', function() {
+    var parts = ['map', 'a.b', 'items', '0', 'say "hi"', ''];
+    var path = 'map["a.b"].items.0["say \\"hi\\""][""]';
+    expect(Path.join(parts)).to.equal(path);
+    expect(Path.split(path)).to.deep.equal(parts);
+    expect(Path.normalize("map['a.b'].items[0]")).to.equal('map["a.b"].items.0');
+    expect(Path.root('map["a.b"]')).to.equal('map');
+    expect(Path.isDescendant('map', 'map["a.b"]')).to.equal(true);
+    expect(function() {
+      Path.split('map["a.b"');
+    }).to.throw(SyntaxError, /Malformed path 'map\["a.b"': Expected '\]' at column 10/);
+  });
+
+  it('should set, get and observe keys with dots', function() {
+    store.set('users["ivan@example.com"]', { name: 'Ivan' });
+    expect(store.ivan).to.equal('Ivan');
+    store.set(['users', '["ivan@example.com"]', 'name'], 'Ivan R');
+    expect(store.ivan).to.equal('Ivan R');
+    expect(store.get("users['ivan@example.com'].name")).to.equal('Ivan R');
+    expect(store.users['ivan@example.com'].name).to.equal('Ivan R');
+    expect(log).to.deep.equal([
+      'users',
+      'users["ivan@example.com"]',
+      'users["ivan@example.com"].name'
+    ]);
+  });
+
+  it('should split dotted parts of array paths', function() {
+    expect(Path.normalize(['items.0', 'name'])).to.equal('items.0.name');
+    expect(Path.normalize(['map', '["a.b"]', 0], true)).to.deep.equal([
+      'map', 'a.b', '0'
+    ]);
+    expect(store.get(['items.0', 'name'])).to.equal('a');
+    store.set(['items', 0, 'name'], 'b');
+    expect(store.items[0].name).to.equal('b');
+  });
+
+  it('should notify and subscribe to bracket paths', function() {
+    var values = [];
+    store.subscribe('items[0].name', function(value, old, path) {
+      values.push([path, value]);
+    });
+    store.items[0].name = 'b';
+    store.notifyPath('items[0].name', 'b');
+    store.set('items[0]', { name: 'c' });
+    expect(values).to.deep.equal([
+      ['items.0.name', 'b'],
+      ['items.0', { name: 'c' }]
+    ]);
+  });
+});
+
+describe('Missing path ancestors', function() {
+  var changes;
+
+  function createStore(options) {
+    changes = [];
+    var store = new Store({
+      insurer: { type: Object },
+      tourists: { type: Array, value: function() { return []; } }
+    }, {}, options);
+    store.ready();
+    store.subscribe('insurer', function(value, old, path) {
+      changes.push(path);
+    });
+    return store;
+  }
+
+  it('should not set unreachable paths by default', function() {
+    var store = createStore();
+    store.set('insurer.address.city', 'X');
+    expect(store.insurer).to.equal(undefined);
+    expect(changes).to.deep.equal([]);
+  });
+
+  it('should create missing objects and arrays', function() {
+    var store = createStore({ createMissing: true });
+    store.set('insurer.address.city', 'X');
+    store.set('insurer.phones[1].number', '123');
+    expect(store.insurer.address).to.deep.equal({ city: 'X' });
+    expect(store.insurer.phones).to.be.an('array').with.lengthOf(2);
+    expect(store.insurer.phones[1]).to.deep.equal({ number: '123' });
+    expect(changes).to.deep.equal([
+      'insurer',
+      'insurer.address',
+      'insurer.address.city',
+      'insurer.phones',
+      'insurer.phones.1',
+      'insurer.phones.1.number'
+    ]);
+  });
+
+  it('should accept path options per call', function() {
+    var store = createStore({ strictPaths: true });
+    store.set('insurer.address.city', 'X', null, { createMissing: true });
+    expect(store.get('insurer.address.city')).to.equal('X');
+    expect(function() {
+      store.set('insurer.contact.email', 'a@b.c');
+    }).to.throw("Cannot set 'insurer.contact.email': " +
+                "'insurer.contact' is undefined");
+    expect(function() {
+      store.setProperties({ 'tourists.0.name': 'Ivan' });
+    }).to.throw("Cannot set 'tourists.0.name': 'tourists.0' is undefined");
+    var root = {};
+    store.set('a.b', 1, root, { createMissing: true });
+    expect(root).to.deep.equal({ a: { b: 1 } });
+  });
+});
+
+describe('Array mutators', function() {
+  var a, b, c, d;
+  var splices;
+  var store;
+
+  beforeEach(function() {
+    a = { id: 'a' };
+    b = { id: 'b' };
+    c = { id: 'c' };
+    d = { id: 'd' };
+    splices = [];
+    store = new Store({
+      items: { type: Array }
+    }, {}, { history: true });
+    store.ready();
+    store.items = [a, b, c, d];
+    store.subscribe('items.splices', function(value) {
+      splices.push(value.indexSplices.map(function(s) {
+        return [s.index, s.removed, s.addedCount];
+      }));
+    });
+  });
+
+  it('should sort and reverse with minimal records', function() {
+    store.sort('items', function(x, y) {
+      return x === d ? -1 : y === d ? 1 : 0;
+    });
+    expect(store.items).to.deep.equal([d, a, b, c]);
+    store.reverse('items');
+    expect(store.items).to.deep.equal([c, b, a, d]);
+    expect(splices).to.deep.equal([
+      [[0, [], 1], [4, [d], 0]],
+      [[0, [d], 2], [3, [b, c], 1]]
+    ]);
+  });
+
+  it('should report long reorders as one replaced run', function() {
+    var items = [];
+    for (var i=0; i<3000; i++) {
+      items.push(i);
+    }
+    // replaced in place without notification
+    Array.prototype.splice.apply(store.items, [0, 4].concat(items));
+    store.reverse('items');
+    expect(splices).to.deep.equal([[[0, items, 3000]]]);
+  });
+
+  it('should move an item keeping its identity', function() {
+    store.move('items', 0, 2);
+    expect(store.items).to.deep.equal([b, c, a, d]);
+    store.move('items', -1, 0);
+    expect(store.items).to.deep.equal([d, b, c, a]);
+    expect(splices).to.deep.equal([
+      [[0, [a], 0], [2, [], 1]],
+      [[3, [d], 0], [0, [], 1]]
+    ]);
+    expect(function() {
+      store.move('items', 0, 4);
+    }).to.throw(RangeError, 'Index 4 is out of range for array of length 4');
+  });
+
+  it('should swap and fill with minimal records', function() {
+    store.swap('items', 0, 3);
+    expect(store.items).to.deep.equal([d, b, c, a]);
+    store.fill('items', c, 1);
+    expect(store.items).to.deep.equal([d, c, c, c]);
+    store.fill('items', c, -3);
+    expect(splices).to.deep.equal([
+      [[0, [a], 1], [3, [d], 1]],
+      [[1, [b], 1], [3, [a], 1]]
+    ]);
+  });
+
+  it('should undo reordering', function() {
+    store.move('items', 3, 1);
+    store.swap('items', 0, 2);
+    store.undo();
+    store.undo();
+    expect(store.items).to.deep.equal([a, b, c, d]);
+  });
+});
+
+describe('Array diffing', function() {
+  var splices;
+  var changes;
+  var store;
+
+  beforeEach(function() {
+    splices = [];
+    changes = [];
+    store = new Store({
+      tourists: { type: Array }
+    }, {}, { history: true });
+    store.ready();
+    store.tourists = ['a', 'b', 'c', 'd', 'e'];
+    store.subscribe('tourists', function(value, old, path) {
+      if (path == 'tourists.splices') {
+        splices.push(value.indexSplices.map(function(s) {
+          return [s.index, s.removed, s.addedCount];
+        }));
+      } else if (path != 'tourists.length') {
+        changes.push(path);
+      }
+    });
+  });
+
+  it('should apply minimal splices in place', function() {
+    var array = store.tourists;
+    expect(store.setArray('tourists', ['a', 'x', 'c', 'e', 'f'])).to.equal(array);
+    expect(store.tourists).to.equal(array);
+    expect(array).to.deep.equal(['a', 'x', 'c', 'e', 'f']);
+    expect(splices).to.deep.equal([
+      [[1, ['b'], 1], [3, ['d'], 0], [4, [], 1]]
+    ]);
+    expect(changes).to.deep.equal([]);
+    store.undo();
+    expect(array).to.deep.equal(['a', 'b', 'c', 'd', 'e']);
+  });
+
+  it('should match items by key and replace updated ones', function() {
+    var ivan = { id: 1, name: 'Ivan' };
+    var petr = { id: 2, name: 'Petr' };
+    store.tourists = [ivan, petr];
+    splices = [];
+    changes = [];
+    var anna = { id: 3, name: 'Anna' };
+    var petr2 = { id: 2, name: 'Petr P' };
+    store.setArray('tourists', [petr2, anna], { key: 'id' });
+    expect(store.tourists).to.deep.equal([petr2, anna]);
+    expect(store.tourists[0]).to.equal(petr2);
+    expect(splices).to.deep.equal([
+      [[0, [ivan], 0], [1, [], 1]]
+    ]);
+    expect(changes).to.deep.equal(['tourists.0']);
+  });
+
+  it('should set the array when there is none', function() {
+    store.tourists = null;
+    var array = ['a'];
+    store.setArray('tourists', array);
+    expect(store.tourists).to.equal(array);
+  });
+});
+
+describe('Linked paths', function() {
+  var changes;
+  var store;
+
+  beforeEach(function() {
+    changes = [];
+    store = new Store({
+      items: { type: Array },
+      selected: { type: Object },
+      selectedName: { computed: '_name(selected.name)' }
+    }, {
+      _name: function(name) {
+        return name;
+      }
+    });
+    store.ready();
+    store.items = ['a', 'b', 'c', 'd'].map(function(name) {
+      return { name: name };
+    });
+    store.selected = store.items[3];
+    store.linkPaths('selected', 'items.3');
+    store.subscribe('items', function(value, old, path) {
+      if (!/\.(splices|length)$/.test(path)) {
+        changes.push(path);
+      }
+    });
+  });
+
+  it('should propagate sub-path changes both ways', function() {
+    store.set('selected.name', 'x');
+    expect(store.items[3].name).to.equal('x');
+    store.set('items.3.name', 'y');
+    expect(store.selected.name).to.equal('y');
+    expect(store.selectedName).to.equal('y');
+    expect(changes).to.deep.equal(['items.3.name', 'items.3.name']);
+  });
+
+  it('should propagate replaced values both ways', function() {
+    var e = { name: 'e' };
+    store.selected = e;
+    expect(store.items[3]).to.equal(e);
+    var f = { name: 'f' };
+    store.set('items.3', f);
+    expect(store.selected).to.equal(f);
+    expect(store.selectedName).to.equal('f');
+    expect(changes).to.deep.equal(['items.3', 'items.3']);
+  });
+
+  it('should follow the item when the array is spliced', function() {
+    var d = store.items[3];
+    store.unshift('items', { name: 'z' });
+    store.move('items', 4, 1);
+    expect(store.items[1]).to.equal(d);
+    store.set('selected.name', 'x');
+    expect(changes).to.deep.equal(['items.1.name']);
+    store.splice('items', 1, 1);
+    expect(store.__dataLinkedPaths).to.deep.equal({});
+  });
+
+  it('should unlink and clean up cached paths', function() {
+    store.set('selected.name', 'x');
+    expect(store.__data).to.have.property('selected.name');
+    store.linkPaths('selected');
+    expect(store.__dataLinkedPaths).to.deep.equal({});
+    expect(store.__data).to.not.have.property('selected.name');
+    store.set('selected.name', 'y');
+    expect(changes).to.deep.equal(['items.3.name']);
+  });
+});
+
+describe('Store bindings', function() {
+  var session;
+  var screen;
+  var log;
+
+  beforeEach(function() {
+    log = [];
+    session = new Store({
+      selectedCustomer: { type: Object, observer: '_log' },
+      title: { type: String }
+    }, {
+      _log: function(value, old, path) {
+        log.push(['session', path]);
+      }
+    });
+    screen = new Store({
+      customer: { type: Object, observer: '_log' },
+      heading: { type: String },
+      greeting: { computed: '_greet(customer.name)' }
+    }, {
+      _log: function(value, old, path) {
+        log.push(['screen', path]);
+      },
+      _greet: function(name) {
+        return 'Hello, ' + name;
+      }
+    });
+    session.ready();
+    screen.ready();
+    session.selectedCustomer = { name: 'Ivan' };
+    log = [];
+  });
+
+  it('should sync and propagate one way', function() {
+    session.bind('selectedCustomer', screen, 'customer');
+    expect(screen.customer).to.equal(session.selectedCustomer);
+    expect(screen.greeting).to.equal('Hello, Ivan');
+    session.set('selectedCustomer.name', 'Petr');
+    expect(screen.greeting).to.equal('Hello, Petr');
+    session.selectedCustomer = { name: 'Anna' };
+    expect(screen.customer.name).to.equal('Anna');
+    screen.customer = { name: 'Olga' };
+    expect(session.selectedCustomer.name).to.equal('Anna');
+    // targets are flushed before observers of the source run
+    expect(log).to.deep.equal([
+      ['screen', 'customer'],
+      ['screen', 'customer.name'],
+      ['session', 'selectedCustomer.name'],
+      ['screen', 'customer'],
+      ['session', 'selectedCustomer'],
+      ['screen', 'customer']
+    ]);
+  });
+
+  it('should propagate two ways without ping-pong', function() {
+    screen.bind('customer', session, 'selectedCustomer',
+                { direction: 'two-way' });
+    expect(screen.customer.name).to.equal('Ivan');
+    screen.customer = { name: 'Olga' };
+    expect(session.selectedCustomer.name).to.equal('Olga');
+    session.set('selectedCustomer.name', 'Oleg');
+    expect(screen.greeting).to.equal('Hello, Oleg');
+    expect(log).to.deep.equal([
+      ['screen', 'customer'],
+      ['session', 'selectedCustomer'],
+      ['screen', 'customer'],
+      ['screen', 'customer.name'],
+      ['session', 'selectedCustomer.name']
+    ]);
+  });
+
+  it('should remove bindings', function() {
+    var unbind = session.bind('title', screen, 'heading',
+                              { direction: 'two-way' });
+    session.title = 'A';
+    expect(screen.heading).to.equal('A');
+    unbind();
+    session.title = 'B';
+    screen.heading = 'C';
+    expect(screen.heading).to.equal('C');
+    expect(session.title).to.equal('B');
+
+    session.bind('title', screen, 'heading', { direction: 'two-way' });
+    screen.unbind('heading', session);
+    session.title = 'D';
+    screen.heading = 'E';
+    expect(screen.heading).to.equal('E');
+    expect(session.title).to.equal('D');
+  });
+
+  it('should keep changes of a target in a transaction pending', function() {
+    session.bind('selectedCustomer', screen, 'customer');
+    log = [];
+    screen.begin();
+    screen.set('heading', 'H');
+    session.selectedCustomer = { name: 'Anna' };
+    expect(screen.greeting).to.equal('Hello, Ivan');
+    expect(log).to.deep.equal([['session', 'selectedCustomer']]);
+    screen.commit();
+    expect(screen.greeting).to.equal('Hello, Anna');
+    expect(log).to.deep.equal([
+      ['session', 'selectedCustomer'],
+      ['screen', 'customer']
+    ]);
+
+    screen.begin();
+    session.selectedCustomer = { name: 'Olga' };
+    screen.rollback();
+    expect(screen.customer.name).to.equal('Anna');
+    expect(log).to.have.length(3);
+  });
+
+  it('should reject invalid bindings', function() {
+    expect(function() {
+      session.bind('title', screen, 'greeting');
+    }).to.throw('Cannot bind to read-only path `greeting`');
+    expect(function() {
+      session.bind('title', screen, 'heading', { direction: 'both' });
+    }).to.throw("Unknown binding direction 'both'");
+  });
+});
+
+describe('Child stores', function() {
+  var address = {
+    properties: {
+      city: { type: String },
+      zip: { type: String, value: '000' },
+      line: { computed: '_line(city, zip)' }
+    },
+    methods: {
+      _line: function(city, zip) {
+        return zip + ' ' + city;
+      }
+    }
+  };
+  var log;
+  var store;
+
+  beforeEach(function() {
+    log = [];
+    store = new Store({
+      name: { type: String },
+      address: { model: address },
+      billing: { type: Store },
+      summary: { computed: '_summary(name, address.*)' }
+    }, {
+      _summary: function(name, change) {
+        log.push(change.path);
+        return name + ', ' + change.base.line;
+      }
+    }, { history: true });
+    store.ready();
+  });
+
+  it('should create child stores from a model config', function() {
+    expect(store.address).to.be.an.instanceof(Store);
+    expect(store.address.zip).to.equal('000');
+    store.name = 'Ivan';
+    expect(store.summary).to.equal('Ivan, 000 undefined');
+  });
+
+  it('should notify child changes as paths', function() {
+    store.name = 'Ivan';
+    log = [];
+    store.address.city = 'Paris';
+    expect(store.summary).to.equal('Ivan, 000 Paris');
+    expect(log).to.deep.equal(['address.city']);
+    store.set('address.zip', '75001');
+    expect(store.address.line).to.equal('75001 Paris');
+    expect(store.summary).to.equal('Ivan, 75001 Paris');
+    expect(log).to.deep.equal(['address.city', 'address.zip']);
+    store.undo();
+    expect(store.address.zip).to.equal('000');
+  });
+
+  it('should attach and detach child stores', function() {
+    var first = new Store(address.properties, address.methods);
+    var second = new Store(address.properties, address.methods);
+    var changes = [];
+    store.subscribe('billing', function(value, old, path) {
+      changes.push(path);
+    });
+    store.billing = first;
+    expect(first.zip).to.equal('000');
+    first.city = 'Oslo';
+    store.billing = second;
+    first.city = 'Rome';
+    second.city = 'Bern';
+    expect(changes).to.deep.equal([
+      'billing', 'billing.city', 'billing.line',
+      'billing', 'billing.city', 'billing.line'
+    ]);
+  });
+
+  it('should include child state', function() {
+    store.address.city = 'Paris';
+    expect(store.getState({ computed: false }).address).to.deep.equal({
+      city: 'Paris', zip: '000'
+    });
+    var child = store.address;
+    store.replaceState({ address: { city: 'Rome', zip: '1' } });
+    expect(store.address).to.equal(child);
+    expect(child.line).to.equal('1 Rome');
+  });
+
+  it('should attach a child store in a transaction', function() {
+    var child = new Store(address.properties, address.methods);
+    child.ready();
+    var changes = [];
+    store.subscribe('billing', function(value, old, path) {
+      changes.push(path);
+    });
+    store.begin();
+    store.set('billing', child);
+    child.set('city', 'Oslo');
+    expect(child.line).to.equal('000 Oslo');
+    expect(changes).to.deep.equal([]);
+    store.commit();
+    expect(store.get('billing.city')).to.equal('Oslo');
+    expect(changes[0]).to.equal('billing');
+  });
+});
+
+describe('State proxy', function() {
+  var store, log;
+
+  beforeEach(function() {
+    log = [];
+    store = new Store({
+      title: { type: String, value: 'Team' },
+      group: { value: function() {
+        return { members: [{ name: 'Ann' }, { name: 'Bob' }] };
+      } },
+      count: { computed: 'length(group.members.*)' }
+    }, {
+      length: function(change) {
+        return change.base.length;
+      }
+    });
+    store.ready();
+    store.subscribe('group', function(value, old, path) {
+      log.push(path);
+    });
+  });
+
+  it('should read values and cache views', function() {
+    var state = store.state;
+    expect(state).to.equal(store.state);
+    expect(state.title).to.equal('Team');
+    expect(state.count).to.equal(2);
+    expect(state.group.members[1].name).to.equal('Bob');
+    expect(state.group).to.equal(state.group);
+    expect(state.group.members[0]).to.equal(state.group.members[0]);
+    expect(state.group.members.map(function(member) {
+      return member.name;
+    })).to.deep.equal(['Ann', 'Bob']);
+    expect(Object.keys(state)).to.deep.equal(['title', 'group', 'count']);
+    expect(JSON.parse(JSON.stringify(state.group))).to.deep.equal({
+      members: [{ name: 'Ann' }, { name: 'Bob' }]
+    });
+  });
+
+  it('should set values through the store', function() {
+    store.state.title = 42;
+    expect(store.title).to.equal('42');
+    store.state.group.members[0].name = 'Anna';
+    expect(store.group.members[0].name).to.equal('Anna');
+    expect(log).to.deep.equal(['group.members.0.name']);
+    expect(function() {
+      'use strict';
+      store.state.count = 5;
+    }).to.throw(TypeError);
+    expect(function() {
+      'use strict';
+      store.state.__data = {};
+    }).to.throw(TypeError);
+    expect(store.count).to.equal(2);
+  });
+
+  it('should hide members of the store', function() {
+    expect(store.state.__data).to.equal(undefined);
+    expect(store.state.__properties).to.equal(undefined);
+    expect(store.state.set).to.equal(undefined);
+    expect('set' in store.state).to.equal(false);
+  });
+
+  it('should notify splices of array methods', function() {
+    var members = store.state.group.members;
+    expect(members.push({ name: 'Cid' })).to.equal(3);
+    expect(store.count).to.equal(3);
+    expect(members.splice(0, 1)).to.deep.equal([{ name: 'Ann' }]);
+    expect(members.sort(function(a, b) {
+      return a.name < b.name ? 1 : -1;
+    })).to.equal(members);
+    expect(store.group.members.map(function(member) {
+      return member.name;
+    })).to.deep.equal(['Cid', 'Bob']);
+    members.length = 1;
+    expect(store.count).to.equal(1);
+    expect(log).to.deep.equal([
+      'group.members.splices', 'group.members.length',
+      'group.members.splices', 'group.members.length',
+      'group.members.splices',
+      'group.members.splices', 'group.members.length'
+    ]);
+  });
+
+  it('should find items given as objects or views', function() {
+    var state = store.state;
+    var bob = store.group.members[1];
+    state.group.leader = bob;
+    expect(state.group.leader).to.not.equal(state.group.members[1]);
+    expect(state.group.members.includes(bob)).to.equal(true);
+    expect(state.group.members.includes(state.group.leader)).to.equal(true);
+    expect(state.group.members.indexOf(state.group.leader)).to.equal(1);
+    expect(state.group.members.lastIndexOf(bob, 0)).to.equal(-1);
+  });
+
+  it('should unwrap views and notify deletions', function() {
+    var state = store.state;
+    state.group.leader = state.group.members[1];
+    expect(store.group.leader).to.equal(store.group.members[1]);
+    delete state.group.leader;
+    expect(store.group).to.not.have.property('leader');
+    expect(log).to.deep.equal(['group.leader', 'group.leader']);
+  });
+});
+
+describe('Validation', function() {
+  var store, events;
+
+  beforeEach(function() {
+    events = [];
+    store = new Store({
+      name: { type: String, required: true, minLength: 2,
+              messages: { required: 'Enter a name' } },
+      age: { type: Number, min: 18, max: 99 },
+      email: { pattern: /^\S+@\S+$/ },
+      role: { value: 'user', oneOf: ['user', 'admin'] },
+      login: { validator: function(value) {
+        return this.taken.then(function(names) {
+          return names.indexOf(value) === -1 || 'is taken';
+        });
+      } },
+      note: { value: '' }
+    }, {
+      taken: Promise.resolve(['root'])
+    });
+    store.on('errors-changed', function(event) {
+      events.push(event.detail.value);
+    });
+    store.ready();
+  });
+
+  it('should validate all rules on ready', function() {
+    expect(store.errors).to.deep.equal({ name: 'Enter a name' });
+    expect(store.valid).to.equal(false);
+    expect(store.getState()).to.not.have.property('errors');
+  });
+
+  it('should update errors of changed properties', function() {
+    store.name = 'A';
+    expect(store.errors).to.deep.equal({
+      name: 'must have at least 2 characters'
+    });
+    store.setProperties({ name: 'Ann', age: '12', email: 'ann' });
+    expect(store.errors).to.deep.equal({
+      age: 'must be at least 18',
+      email: 'must match /^\\S+@\\S+$/'
+    });
+    store.setProperties({ age: 100, email: 'ann@example.com', role: 'x' });
+    expect(store.errors).to.deep.equal({
+      age: 'must be at most 99',
+      role: 'must be one of user, admin'
+    });
+    store.setProperties({ age: 20, role: 'admin' });
+    expect(store.errors).to.deep.equal({});
+    return store.validate().then(function(valid) {
+      expect(valid).to.equal(true);
+      store.errors = { name: 'x' };
+      expect(store.errors).to.deep.equal({});
+      expect(store.valid).to.equal(true);
+    });
+  });
+
+  it('should not revalidate unchanged properties', function() {
+    var calls = 0;
+    store = new Store({
+      a: { value: 1, validator: function() {
+        calls++;
+      } },
+      b: { value: 1 }
+    });
+    store.ready();
+    store.b = 2;
+    store.a = 2;
+    expect(calls).to.equal(2);
+  });
+
+  it('should resolve asynchronous validators', function() {
+    store.name = 'Ann';
+    store.login = 'root';
+    store.login = 'ann';
+    store.login = 'root';
+    expect(store.errors).to.deep.equal({});
+    expect(store.validating).to.equal(true);
+    expect(store.valid).to.equal(false);
+    return store.validate().then(function(valid) {
+      expect(valid).to.equal(false);
+      expect(store.validating).to.equal(false);
+      expect(store.errors).to.deep.equal({ login: 'is taken' });
+      expect(events.pop()).to.deep.equal({ login: 'is taken' });
+    });
+  });
+
+  it('should give the message of validators that throw', function() {
+    store = new Store({
+      code: { value: 'a', validator: [function(value) {
+        return Promise.resolve(value != 'b' || 'is b');
+      }, function(value) {
+        if (value == 'c') {
+          throw new Error('is c');
+        }
+      }] },
+      key: { value: 'a', validator: function(value) {
+        if (value == 'x') {
+          throw new Error('is x');
+        }
+      } }
+    });
+    store.ready();
+    store.key = 'x';
+    expect(store.errors).to.deep.equal({ key: 'is x' });
+    store.code = 'c';
+    expect(store.validating).to.equal(true);
+    return store.validate().then(function(valid) {
+      expect(valid).to.equal(false);
+      expect(store.validating).to.equal(false);
+      expect(store.errors).to.deep.equal({ key: 'is x', code: 'is c' });
+    });
+  });
+
+  it('should reserve the validation state properties', function() {
+    expect(function() {
+      new Store({ errors: {}, name: { required: true } });
+    }).to.throw('Property `errors` is reserved for validation state');
+  });
+});